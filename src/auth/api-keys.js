@@ -0,0 +1,63 @@
+// ./src/auth/api-keys.js
+
+const crypto = require("crypto");
+const ApiKey = require("../models/api-key");
+
+// Keys look like "cak_<prefix>_<secret>". The prefix is stored in plain text
+// to find the key; the whole key is only ever stored hashed. Keys are random
+// 256-bit values, so a fast hash is enough.
+const KEY_PATTERN = /^cak_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+
+// Only record usage once a minute per key instead of writing on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+exports.generateApiKey = () => {
+  const prefix = crypto.randomBytes(6).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const key = `cak_${prefix}_${secret}`;
+  return { key, prefix, hash: hashKey(key) };
+};
+
+// Resolve a presented key to its active ApiKey record, or null
+exports.authenticateApiKey = async (key) => {
+  const match = KEY_PATTERN.exec(key || "");
+  if (!match) return null;
+
+  const apiKey = await ApiKey.findOne({ prefix: match[1] }).select("+hash");
+  if (!apiKey) return null;
+
+  const expected = Buffer.from(apiKey.hash, "hex");
+  const actual = Buffer.from(hashKey(key), "hex");
+  if (!crypto.timingSafeEqual(expected, actual) || !apiKey.isActive()) {
+    return null;
+  }
+
+  const now = Date.now();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    try {
+      await ApiKey.updateOne(
+        { _id: apiKey._id },
+        { $set: { lastUsedAt: new Date(now) } },
+      );
+    } catch (error) {
+      console.error("❌ Failed to record API key usage:", error.message);
+    }
+  }
+
+  return apiKey;
+};
+
+// Scopes are "Resource:action" pairs in Permit terms, e.g. "Article:read".
+// Either side may be "*", and a bare "Resource" means every action.
+exports.SCOPE_PATTERN = /^(\*|[A-Z][A-Za-z]*)(:(\*|[a-z][a-z_]*))?$/;
+
+exports.scopeAllows = (scopes = [], resourceType, action) =>
+  scopes.some((scope) => {
+    const [type, scopeAction = "*"] = scope.split(":");
+    return (
+      (type === "*" || type === resourceType) &&
+      (scopeAction === "*" || scopeAction === action)
+    );
+  });
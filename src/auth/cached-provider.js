@@ -0,0 +1,146 @@
+// ./src/auth/cached-provider.js
+
+const mongoose = require("mongoose");
+const AuthzInvalidation = require("../models/authz-invalidation");
+const { DecisionCache, decisionKey } = require("./decision-cache");
+const { scopeResource } = require("../utils/tenancy");
+
+const cache = new DecisionCache({
+  ttlMs: Number(process.env.AUTHZ_CACHE_TTL_MS ?? 60 * 1000),
+  maxEntries: Number(process.env.AUTHZ_CACHE_MAX_ENTRIES ?? 5000),
+});
+
+// How often an instance looks for invalidations written by other instances
+const SYNC_INTERVAL_MS = Number(process.env.AUTHZ_CACHE_SYNC_MS ?? 5000);
+let lastSyncAt = Date.now();
+
+async function syncInvalidations() {
+  // Only instances that already use MongoDB take part; others rely on the TTL
+  if (mongoose.connection.readyState !== 1) return;
+
+  const now = Date.now();
+  if (now - lastSyncAt < SYNC_INTERVAL_MS) return;
+
+  // Look back one extra interval to tolerate clock skew between instances
+  const since = new Date(lastSyncAt - SYNC_INTERVAL_MS);
+  lastSyncAt = now;
+
+  try {
+    const userIds = await AuthzInvalidation.distinct("userId", {
+      createdAt: { $gte: since },
+    });
+    userIds.forEach((userId) => cache.invalidateUser(userId));
+  } catch (error) {
+    console.error("❌ Authz cache sync failed:", error.message);
+  }
+}
+
+// Wrap an authorization provider so check() and bulkCheck() answer from the
+// decision cache when they can. Checks are asked within the current tenant
+// (see src/utils/tenancy.js), which is also part of the cache key. User
+// management passes through.
+function createCachedProvider(provider) {
+  async function check(user, action, unscoped, context, journal) {
+    await syncInvalidations();
+
+    const resource = scopeResource(unscoped);
+    const key = decisionKey(user, action, resource);
+    let allowed = cache.get(key);
+    if (allowed === undefined) {
+      allowed = await provider.check(user, action, resource, context);
+      cache.set(key, allowed);
+    }
+
+    if (journal) journal[key] = allowed;
+    return allowed;
+  }
+
+  // Resolve several checks with at most one provider round trip
+  async function bulkCheck(unscoped, journal) {
+    await syncInvalidations();
+
+    const checks = unscoped.map((check) => ({
+      ...check,
+      resource: scopeResource(check.resource),
+    }));
+    const keys = checks.map(({ user, action, resource }) =>
+      decisionKey(user, action, resource),
+    );
+    const results = keys.map((key) => cache.get(key));
+    const misses = results
+      .map((allowed, index) => (allowed === undefined ? index : -1))
+      .filter((index) => index >= 0);
+
+    if (misses.length) {
+      const answers = await provider.bulkCheck(
+        misses.map((index) => checks[index]),
+      );
+      misses.forEach((index, i) => {
+        results[index] = answers[i];
+        cache.set(keys[index], answers[i]);
+      });
+    }
+
+    if (journal) {
+      keys.forEach((key, index) => (journal[key] = results[index]));
+    }
+    return results;
+  }
+
+  return {
+    name: provider.name,
+    syncUser: (user) => provider.syncUser(user),
+    assignRole: (assignment) => provider.assignRole(assignment),
+    unassignRole: (assignment) => provider.unassignRole(assignment),
+    getUser: (key) => provider.getUser(key),
+    updateUserAttributes: (key, attributes) =>
+      provider.updateUserAttributes(key, attributes),
+    deleteUser: (key) => provider.deleteUser(key),
+    check: (user, action, resource, context) =>
+      check(user, action, resource, context),
+    bulkCheck: (checks) => bulkCheck(checks),
+
+    // A session records every decision it makes, so the authorizer can hand
+    // them to the content handler (see seed) instead of the handler asking
+    // the provider the same questions again
+    session() {
+      const decisions = {};
+      return {
+        decisions,
+        check: (user, action, resource, context) =>
+          check(user, action, resource, context, decisions),
+        bulkCheck: (checks) => bulkCheck(checks, decisions),
+      };
+    },
+  };
+}
+
+// Load decisions made earlier in the same request (by the authorizer)
+function seedDecisions(serialized) {
+  if (!serialized) return;
+
+  try {
+    for (const [key, allowed] of Object.entries(JSON.parse(serialized))) {
+      if (typeof allowed === "boolean") cache.set(key, allowed);
+    }
+  } catch (error) {
+    console.error("❌ Ignoring malformed authz decisions:", error.message);
+  }
+}
+
+// Drop a user's cached decisions here and, through MongoDB, on every other
+// instance. Call after changing roles or attributes the policies depend on.
+async function invalidateUserDecisions(userId, reason) {
+  cache.invalidateUser(userId);
+
+  if (mongoose.connection.readyState === 1) {
+    await AuthzInvalidation.create({ userId, reason });
+  }
+}
+
+module.exports = {
+  createCachedProvider,
+  seedDecisions,
+  invalidateUserDecisions,
+  decisionCache: cache,
+};
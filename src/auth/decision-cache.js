@@ -0,0 +1,94 @@
+// ./src/auth/decision-cache.js
+
+// In-memory LRU cache of authorization decisions with a TTL. Decisions are
+// keyed by user, action, resource type, tenant and resource attributes —
+// never the resource ID — so every article with the same author, status and
+// category shares one cached answer.
+class DecisionCache {
+  constructor({ ttlMs = 60 * 1000, maxEntries = 5000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // Map keeps insertion order, oldest first
+    this.counters = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.entries.delete(key);
+      this.counters.misses += 1;
+      return undefined;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.counters.hits += 1;
+    return entry.allowed;
+  }
+
+  set(key, allowed, ttlMs = this.ttlMs) {
+    if (ttlMs <= 0) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, { allowed, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.counters.evictions += 1;
+    }
+  }
+
+  // Drop every decision for a user, e.g. after their roles change
+  invalidateUser(userId) {
+    const prefix = `${userId}|`;
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) this.entries.delete(key);
+    }
+    this.counters.invalidations += 1;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  stats() {
+    const { hits, misses } = this.counters;
+    return {
+      ...this.counters,
+      size: this.entries.size,
+      hitRate: hits + misses ? hits / (hits + misses) : 0,
+    };
+  }
+}
+
+// JSON with sorted object keys, so equal attributes always give equal keys
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function decisionKey(user, action, resource) {
+  const userKey = typeof user === "string" ? user : user?.key;
+  const { type, tenant, attributes } =
+    typeof resource === "string" ? { type: resource } : resource || {};
+
+  return [
+    userKey,
+    action,
+    type,
+    tenant || "",
+    stableStringify(attributes || {}),
+  ].join("|");
+}
+
+module.exports = { DecisionCache, decisionKey };
@@ -0,0 +1,115 @@
+// ./src/auth/jwks.js
+
+const crypto = require("crypto");
+const fs = require("fs");
+const axios = require("axios");
+
+// Public keys from a JSON Web Key Set, fetched from a URL (or read from a
+// file for offline use) and cached by key ID. An unknown key ID triggers a
+// refetch, so keys rotated in by the identity provider are picked up without
+// waiting for the cache to expire; refetches are throttled so tokens with
+// made-up key IDs can't hammer the provider.
+class JwksKeyStore {
+  constructor({
+    uri,
+    file,
+    cacheMs = 10 * 60 * 1000,
+    minRefetchMs = 30 * 1000,
+    timeoutMs = 5000,
+  } = {}) {
+    if (!uri && !file) {
+      throw new Error("A JWKS URI or file is required");
+    }
+    this.uri = uri;
+    this.file = file;
+    this.cacheMs = cacheMs;
+    this.minRefetchMs = minRefetchMs;
+    this.timeoutMs = timeoutMs;
+    this.keys = new Map();
+    this.fetchedAt = 0;
+    this.pending = null;
+  }
+
+  async getKey(kid) {
+    const age = Date.now() - this.fetchedAt;
+    if (age > this.cacheMs) {
+      await this.refreshOrKeepStale();
+    } else if (!this.keys.has(kid) && age > this.minRefetchMs) {
+      console.log("🔑 Unknown JWKS key ID, refetching:", kid);
+      await this.refreshOrKeepStale();
+    }
+
+    // Tokens without a kid are accepted only when the set has a single key
+    const key = kid
+      ? this.keys.get(kid)
+      : this.keys.size === 1
+        ? this.keys.values().next().value
+        : null;
+    if (!key) {
+      throw new Error(`No signing key found for kid '${kid}'`);
+    }
+    return key;
+  }
+
+  // An identity provider outage shouldn't lock everyone out while the keys
+  // we already have are still valid
+  async refreshOrKeepStale() {
+    try {
+      await this.refresh();
+    } catch (error) {
+      if (!this.keys.size) throw error;
+      console.error(
+        "❌ JWKS refresh failed, using cached keys:",
+        error.message,
+      );
+      // Try again once minRefetchMs has passed
+      this.fetchedAt = Date.now() - this.cacheMs + this.minRefetchMs;
+    }
+  }
+
+  // Concurrent callers share one fetch
+  refresh() {
+    if (!this.pending) {
+      this.pending = this.load().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  async load() {
+    const jwks = this.file
+      ? JSON.parse(fs.readFileSync(this.file, "utf8"))
+      : (await axios.get(this.uri, { timeout: this.timeoutMs })).data;
+
+    const keys = new Map();
+    for (const jwk of jwks.keys || []) {
+      // Only signature keys; encryption keys may share the set
+      if (jwk.use && jwk.use !== "sig") continue;
+      try {
+        keys.set(jwk.kid, {
+          algorithm: jwk.alg,
+          key: crypto.createPublicKey({ key: jwk, format: "jwk" }),
+        });
+      } catch (error) {
+        console.error(`❌ Skipping unusable JWK '${jwk.kid}':`, error.message);
+      }
+    }
+
+    this.keys = keys;
+    this.fetchedAt = Date.now();
+    console.log(`🔑 Loaded ${keys.size} JWKS signing keys`);
+  }
+}
+
+// Find the JWKS URI in an OpenID Connect provider's discovery document
+async function discoverJwksUri(issuer, { timeoutMs = 5000 } = {}) {
+  const url = `${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`;
+  const { data } = await axios.get(url, { timeout: timeoutMs });
+  if (!data.jwks_uri) {
+    throw new Error(`OIDC discovery document at ${url} has no jwks_uri`);
+  }
+  return data.jwks_uri;
+}
+
+module.exports = { JwksKeyStore, discoverJwksUri };
@@ -0,0 +1,184 @@
+// ./src/auth/jwt.js
+
+const jwt = require("jsonwebtoken");
+const { JwksKeyStore, discoverJwksUri } = require("./jwks");
+const { DEFAULT_TENANT, isValidTenant } = require("../utils/tenancy");
+
+const SYMMETRIC_ALGORITHMS = ["HS256", "HS384", "HS512"];
+const ASYMMETRIC_ALGORITHMS = ["RS256", "RS384", "RS512", "ES256", "ES384"];
+
+// Where each user field is read from in the token. Each entry lists claim
+// paths tried in order; dots reach into nested claims. Override any of them
+// with JWT_CLAIM_MAP, e.g. {"role": ["realm_access.roles"]}.
+const DEFAULT_CLAIM_MAP = {
+  userId: ["userId", "sub"],
+  email: ["email"],
+  role: ["role"],
+  subscription_tier: ["subscription_tier"],
+  tenant: ["tenant", "tenant_id"],
+};
+
+const list = (value) =>
+  String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+function loadConfig(env = process.env) {
+  return {
+    secret: env.JWT_SECRET,
+    jwksUri: env.JWT_JWKS_URI,
+    jwksFile: env.JWT_JWKS_FILE,
+    oidcDiscovery: env.JWT_OIDC_DISCOVERY === "true",
+    issuer: env.JWT_ISSUER || undefined,
+    audience: list(env.JWT_AUDIENCE),
+    algorithms: list(env.JWT_ALGORITHMS),
+    clockTolerance: Number(env.JWT_CLOCK_TOLERANCE_SECONDS ?? 30),
+    jwksCacheMs: Number(env.JWT_JWKS_CACHE_MS ?? 10 * 60 * 1000),
+    claimMap: {
+      ...DEFAULT_CLAIM_MAP,
+      ...(env.JWT_CLAIM_MAP ? JSON.parse(env.JWT_CLAIM_MAP) : {}),
+    },
+    // Most privileged first; also the roles a token may carry at all
+    roles: list(env.JWT_ROLES || "admin,editor,author,viewer"),
+    defaultRole: env.JWT_DEFAULT_ROLE || "viewer",
+    // Tokens without a tenant claim belong to the default tenant
+    defaultTenant: env.DEFAULT_TENANT || DEFAULT_TENANT,
+  };
+}
+
+// Verifies tokens signed with the shared secret (HS*) and/or with keys from
+// an identity provider's JWKS (RS*/ES*), then maps their claims onto the
+// user shape the rest of the gateway expects:
+//   { userId, email, role, subscription_tier, tenant, claims }
+class TokenVerifier {
+  constructor(config = loadConfig()) {
+    this.config = config;
+    this.keyStore = null;
+    this.keyStoreReady = null;
+
+    const allowed = config.algorithms.length
+      ? config.algorithms
+      : [
+          ...(config.secret ? SYMMETRIC_ALGORITHMS : []),
+          ...(this.usesJwks() ? ASYMMETRIC_ALGORITHMS : []),
+        ];
+    this.algorithms = allowed;
+
+    if (!this.algorithms.length) {
+      throw new Error(
+        "Configure JWT_SECRET and/or a JWKS (JWT_JWKS_URI, JWT_JWKS_FILE or JWT_OIDC_DISCOVERY)",
+      );
+    }
+  }
+
+  usesJwks() {
+    const { jwksUri, jwksFile, oidcDiscovery, issuer } = this.config;
+    return Boolean(jwksUri || jwksFile || (oidcDiscovery && issuer));
+  }
+
+  async getKeyStore() {
+    if (!this.keyStoreReady) {
+      this.keyStoreReady = (async () => {
+        const { jwksUri, jwksFile, issuer, jwksCacheMs } = this.config;
+        const uri =
+          jwksUri || (jwksFile ? undefined : await discoverJwksUri(issuer));
+        this.keyStore = new JwksKeyStore({
+          uri,
+          file: jwksFile,
+          cacheMs: jwksCacheMs,
+        });
+        return this.keyStore;
+      })().catch((error) => {
+        // Let the next request retry discovery
+        this.keyStoreReady = null;
+        throw error;
+      });
+    }
+    return await this.keyStoreReady;
+  }
+
+  // Pick the verification key from the token header. Symmetric and
+  // asymmetric keys are never interchangeable, so a token can't downgrade
+  // itself to HS256 and be checked against a public key.
+  async resolveKey(header) {
+    const { alg, kid } = header || {};
+    if (!this.algorithms.includes(alg)) {
+      throw new Error(`Token algorithm '${alg}' is not allowed`);
+    }
+
+    if (SYMMETRIC_ALGORITHMS.includes(alg)) {
+      if (!this.config.secret) throw new Error("No JWT secret configured");
+      return this.config.secret;
+    }
+
+    const keyStore = await this.getKeyStore();
+    const { key, algorithm } = await keyStore.getKey(kid);
+    if (algorithm && algorithm !== alg) {
+      throw new Error(`Key '${kid}' is not for ${alg}`);
+    }
+    return key;
+  }
+
+  async verify(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) throw new Error("Malformed token");
+
+    const key = await this.resolveKey(decoded.header);
+    const { issuer, audience, clockTolerance } = this.config;
+    const claims = jwt.verify(token, key, {
+      algorithms: [decoded.header.alg],
+      issuer,
+      audience: audience.length ? audience : undefined,
+      clockTolerance,
+    });
+
+    return this.mapClaims(claims);
+  }
+
+  mapClaims(claims) {
+    const { claimMap, roles, defaultRole, defaultTenant } = this.config;
+    const read = (field) => {
+      for (const claimPath of [].concat(claimMap[field] || [])) {
+        const value = claimPath
+          .split(".")
+          .reduce((current, part) => current?.[part], claims);
+        if (value !== undefined && value !== null) return value;
+      }
+      return undefined;
+    };
+
+    const userId = read("userId");
+    if (!userId) throw new Error("Token has no user ID claim");
+
+    // Identity providers often send a list of roles or groups: use the most
+    // privileged one we know and ignore the rest
+    const tokenRoles = [].concat(read("role") ?? []).map(String);
+    const role = roles.find((known) => tokenRoles.includes(known));
+
+    const tenant = String(read("tenant") ?? defaultTenant);
+    if (!isValidTenant(tenant)) {
+      throw new Error(`Token tenant '${tenant}' is not a valid tenant key`);
+    }
+
+    return {
+      userId: String(userId),
+      email: read("email"),
+      role: role || defaultRole,
+      subscription_tier: read("subscription_tier") || "free",
+      tenant,
+      claims,
+    };
+  }
+}
+
+let verifier = null;
+
+// Verify a bearer token and return the mapped user; throws when invalid
+exports.verifyToken = async (token) => {
+  if (!verifier) verifier = new TokenVerifier();
+  return await verifier.verify(token);
+};
+
+exports.TokenVerifier = TokenVerifier;
+exports.loadConfig = loadConfig;
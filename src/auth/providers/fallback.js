@@ -0,0 +1,76 @@
+// ./src/auth/providers/fallback.js
+
+const { normalizeError, UpstreamError } = require("../../utils/errors");
+
+// Answers checks from `primary`, switching to `secondary` for any check the
+// primary cannot answer because it is unreachable. Denials are never
+// retried. User changes go to the primary and are mirrored to the secondary
+// so it knows about the same users when it has to step in.
+class FallbackAuthProvider {
+  constructor(primary, secondary) {
+    this.name = `${primary.name}+${secondary.name}`;
+    this.primary = primary;
+    this.secondary = secondary;
+  }
+
+  async withFallback(operation, args) {
+    try {
+      return await this.primary[operation](...args);
+    } catch (error) {
+      if (!(normalizeError(error) instanceof UpstreamError)) throw error;
+
+      console.warn(
+        `⚠️ ${this.primary.name} unavailable, using ${this.secondary.name} policy:`,
+        error.message,
+      );
+      return await this.secondary[operation](...args);
+    }
+  }
+
+  check(...args) {
+    return this.withFallback("check", args);
+  }
+
+  bulkCheck(...args) {
+    return this.withFallback("bulkCheck", args);
+  }
+
+  getUser(...args) {
+    return this.withFallback("getUser", args);
+  }
+
+  async mirror(operation, args) {
+    const result = await this.primary[operation](...args);
+    try {
+      await this.secondary[operation](...args);
+    } catch (error) {
+      console.error(
+        `❌ Failed to mirror ${operation} to ${this.secondary.name}:`,
+        error.message,
+      );
+    }
+    return result;
+  }
+
+  syncUser(...args) {
+    return this.mirror("syncUser", args);
+  }
+
+  assignRole(...args) {
+    return this.mirror("assignRole", args);
+  }
+
+  unassignRole(...args) {
+    return this.mirror("unassignRole", args);
+  }
+
+  updateUserAttributes(...args) {
+    return this.mirror("updateUserAttributes", args);
+  }
+
+  deleteUser(...args) {
+    return this.mirror("deleteUser", args);
+  }
+}
+
+module.exports = FallbackAuthProvider;
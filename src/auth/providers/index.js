@@ -0,0 +1,59 @@
+// ./src/auth/providers/index.js
+
+const FallbackAuthProvider = require("./fallback");
+const { createCachedProvider } = require("../cached-provider");
+
+// Every authorization provider implements the same interface:
+//   check(user, action, resource, context) -> Promise<boolean>
+//   bulkCheck([{ user, action, resource }]) -> Promise<boolean[]>
+//   syncUser({ key, email, first_name, last_name, attributes })
+//   assignRole({ user, role, tenant })
+//   unassignRole({ user, role, tenant })
+//   getUser(key) -> Promise<{ key, email, attributes, roles } | null>
+//   updateUserAttributes(key, attributes) -> merged user, null if unknown
+//   deleteUser(key) -> Promise<boolean> (false if there was no such user)
+// and exposes a `name` used in logs.
+const providers = {
+  // Loaded lazily so local setups never pull in the Permit SDK
+  permit: () => {
+    const PermitAuthProvider = require("./permit");
+    return new PermitAuthProvider({
+      pdp: process.env.PERMIT_PDP_URL,
+      token: process.env.PERMIT_API_KEY,
+    });
+  },
+  local: () => {
+    const LocalAuthProvider = require("./local");
+    return LocalAuthProvider.fromFile(
+      process.env.AUTHZ_POLICY_FILE || undefined,
+    );
+  },
+};
+
+function createProvider(name) {
+  if (!providers[name]) {
+    throw new Error(`Unknown authorization provider: ${name}`);
+  }
+  return providers[name]();
+}
+
+// Reuse the provider (and its decision cache) across Lambda invocations
+let instance = null;
+
+// AUTHZ_PROVIDER picks the provider; AUTHZ_FALLBACK optionally names a second
+// one that answers checks while the first is unreachable
+exports.getAuthProvider = () => {
+  if (!instance) {
+    const name = process.env.AUTHZ_PROVIDER || "permit";
+    const fallback = process.env.AUTHZ_FALLBACK;
+
+    let provider = createProvider(name);
+    if (fallback && fallback !== name) {
+      provider = new FallbackAuthProvider(provider, createProvider(fallback));
+    }
+
+    // Decisions are cached per instance; see src/auth/cached-provider.js
+    instance = createCachedProvider(provider);
+  }
+  return instance;
+};
@@ -0,0 +1,257 @@
+// ./src/auth/providers/local.js
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const mongoose = require("mongoose");
+const AuthzUser = require("../../models/authz-user");
+const { connectDB } = require("../../utils/db");
+const { DEFAULT_TENANT } = require("../../utils/tenancy");
+
+const DEFAULT_POLICY_FILE = path.join(
+  __dirname,
+  "..",
+  "policies",
+  "default.yml",
+);
+
+// Evaluates RBAC roles and attribute/relationship rules from a policy file
+// (see src/auth/policies/default.yml) without a PDP. Users and role
+// assignments are kept in MongoDB when it is configured, in memory otherwise.
+class LocalAuthProvider {
+  constructor(policy) {
+    this.name = "local";
+    this.policy = validatePolicy(policy);
+    this.users = new Map();
+  }
+
+  static fromFile(policyFile = DEFAULT_POLICY_FILE) {
+    const source = fs.readFileSync(policyFile, "utf8");
+    return new LocalAuthProvider(
+      policyFile.endsWith(".json") ? JSON.parse(source) : yaml.load(source),
+    );
+  }
+
+  async check(user, action, resource) {
+    const key = typeof user === "string" ? user : user?.key;
+    return this.evaluate(await this.getUser(key), action, resource);
+  }
+
+  async bulkCheck(checks) {
+    return await Promise.all(
+      checks.map(({ user, action, resource, context }) =>
+        this.check(user, action, resource, context),
+      ),
+    );
+  }
+
+  async syncUser({ key, email, first_name, last_name, attributes = {} }) {
+    const existing = await this.getUser(key);
+    const user = {
+      key,
+      email,
+      first_name,
+      last_name,
+      attributes: { ...existing?.attributes, ...attributes },
+      roles: existing?.roles || [],
+    };
+    await this.saveUser(user);
+    return user;
+  }
+
+  async assignRole({ user: key, role, tenant = DEFAULT_TENANT }) {
+    if (!this.policy.roles[role]) {
+      throw new Error(`Role '${role}' does not exist in the local policy`);
+    }
+
+    const user = (await this.getUser(key)) || { key, attributes: {} };
+    const roles = user.roles || [];
+    if (!roles.some((r) => r.role === role && r.tenant === tenant)) {
+      roles.push({ role, tenant });
+    }
+    await this.saveUser({ ...user, roles });
+    return { user: key, role, tenant };
+  }
+
+  async unassignRole({ user: key, role, tenant = DEFAULT_TENANT }) {
+    const user = await this.getUser(key);
+    if (!user) return;
+
+    const roles = (user.roles || []).filter(
+      (r) => !(r.role === role && r.tenant === tenant),
+    );
+    await this.saveUser({ ...user, roles });
+  }
+
+  async updateUserAttributes(key, attributes) {
+    const user = await this.getUser(key);
+    if (!user) return null;
+
+    const updated = {
+      ...user,
+      attributes: { ...user.attributes, ...attributes },
+    };
+    await this.saveUser(updated);
+    return updated;
+  }
+
+  // Users defined in the policy file stay; only stored users are deleted
+  async deleteUser(key) {
+    if (await useDatabase()) {
+      const { deletedCount } = await AuthzUser.deleteOne({ _id: key });
+      return deletedCount > 0;
+    }
+    return this.users.delete(key);
+  }
+
+  evaluate(user, action, resource) {
+    if (!user) return false;
+
+    const { type, tenant, attributes } =
+      typeof resource === "string" ? { type: resource } : resource || {};
+    const roles = (user.roles || [])
+      .filter(
+        (r) => r.tenant === (tenant || DEFAULT_TENANT) || r.tenant === "*",
+      )
+      .map((r) => r.role);
+
+    // RBAC
+    const granted = roles.some((role) => {
+      const grants = this.policy.roles[role] || {};
+      const actions = [...(grants[type] || []), ...(grants["*"] || [])];
+      return actions.includes(action) || actions.includes("*");
+    });
+    if (!granted) return false;
+
+    // ABAC / ReBAC rules
+    const subject = {
+      user: { key: user.key, email: user.email, ...user.attributes },
+      resource: { type, tenant, ...attributes },
+    };
+
+    return this.policy.rules.every((rule) => {
+      const applies =
+        rule.resource.includes(type) &&
+        rule.actions.includes(action) &&
+        matchesAll(rule.when, subject);
+      if (!applies) return true;
+
+      return (
+        roles.some((role) => rule.bypassRoles.includes(role)) ||
+        matchesAll(rule.require, subject)
+      );
+    });
+  }
+
+  async getUser(key) {
+    if (!key) return null;
+
+    const configured = this.policy.users[key];
+    if (configured) {
+      return {
+        key,
+        attributes: configured.attributes || {},
+        roles: (configured.roles || []).map((role) =>
+          typeof role === "string" ? { role, tenant: DEFAULT_TENANT } : role,
+        ),
+      };
+    }
+
+    if (await useDatabase()) {
+      const stored = await AuthzUser.findById(key).lean();
+      if (stored) {
+        const { _id, __v, updatedAt, ...fields } = stored;
+        return { ...fields, key: _id };
+      }
+    }
+    return this.users.get(key) || null;
+  }
+
+  async saveUser(user) {
+    if (await useDatabase()) {
+      const { key, ...fields } = user;
+      await AuthzUser.updateOne(
+        { _id: key },
+        { $set: { ...fields, updatedAt: new Date() } },
+        { upsert: true },
+      );
+      return;
+    }
+    this.users.set(user.key, user);
+  }
+}
+
+async function useDatabase() {
+  if (mongoose.connection.readyState === 1) return true;
+  if (!process.env.MONGODB_URI) return false;
+
+  try {
+    await connectDB();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function resolve(pathExpression, subject) {
+  return pathExpression
+    .split(".")
+    .reduce(
+      (value, part) => (value == null ? undefined : value[part]),
+      subject,
+    );
+}
+
+function matches(actual, expected, subject) {
+  const isSet = actual !== undefined && actual !== null && actual !== "";
+
+  if (Array.isArray(expected)) {
+    return expected.map(String).includes(String(actual));
+  }
+  if (expected && typeof expected === "object") {
+    if ("exists" in expected && isSet !== Boolean(expected.exists)) {
+      return false;
+    }
+    if ("not" in expected) {
+      return isSet && !matches(actual, [].concat(expected.not), subject);
+    }
+    return true;
+  }
+  if (typeof expected === "string" && expected.startsWith("$")) {
+    const other = resolve(expected.slice(1), subject);
+    return isSet && String(actual) === String(other);
+  }
+  return String(actual) === String(expected);
+}
+
+function matchesAll(conditions = {}, subject) {
+  return Object.entries(conditions).every(([pathExpression, expected]) =>
+    matches(resolve(pathExpression, subject), expected, subject),
+  );
+}
+
+function validatePolicy(policy) {
+  if (!policy || typeof policy.roles !== "object") {
+    throw new Error("Authorization policy must define roles");
+  }
+
+  const rules = (policy.rules || []).map((rule, index) => {
+    const name = rule.name || `#${index + 1}`;
+    if (!rule.resource || !rule.actions || !rule.require) {
+      throw new Error(
+        `Authorization policy rule '${name}' needs resource, actions and require`,
+      );
+    }
+    return {
+      ...rule,
+      name,
+      resource: [].concat(rule.resource),
+      actions: [].concat(rule.actions),
+      bypassRoles: [].concat(rule.bypassRoles || []),
+    };
+  });
+
+  return { roles: policy.roles, rules, users: policy.users || {} };
+}
+
+module.exports = LocalAuthProvider;
@@ -0,0 +1,75 @@
+// ./src/auth/providers/permit.js
+
+const { Permit } = require("permitio");
+
+// Delegates every decision to a Permit.io PDP and manages users through the
+// Permit API
+class PermitAuthProvider {
+  constructor({ pdp, token } = {}) {
+    this.name = "permit";
+    this.permit = new Permit({ pdp, token });
+  }
+
+  async check(user, action, resource, context) {
+    return await this.permit.check(user, action, resource, context);
+  }
+
+  async bulkCheck(checks) {
+    return await this.permit.bulkCheck(checks);
+  }
+
+  async syncUser(user) {
+    return await this.permit.api.syncUser(user);
+  }
+
+  async assignRole(assignment) {
+    return await this.permit.api.assignRole(assignment);
+  }
+
+  async unassignRole(assignment) {
+    return await this.permit.api.unassignRole(assignment);
+  }
+
+  // The user as Permit sees it, or null when Permit doesn't know the user
+  async getUser(key) {
+    try {
+      const user = await this.permit.api.users.get(key);
+      return {
+        key: user.key,
+        email: user.email,
+        first_name: user.first_name,
+        last_name: user.last_name,
+        attributes: user.attributes || {},
+        roles: (user.roles || []).map(({ role, tenant }) => ({ role, tenant })),
+      };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  // Permit replaces the attributes object, so merge into the current one
+  async updateUserAttributes(key, attributes) {
+    const user = await this.getUser(key);
+    if (!user) return null;
+
+    const merged = { ...user.attributes, ...attributes };
+    await this.permit.api.users.update(key, { attributes: merged });
+    return { ...user, attributes: merged };
+  }
+
+  // Resolves to false when there was no such user
+  async deleteUser(key) {
+    try {
+      await this.permit.api.users.delete(key);
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) return false;
+      throw error;
+    }
+  }
+}
+
+const isNotFound = (error) => error?.response?.status === 404;
+
+module.exports = PermitAuthProvider;
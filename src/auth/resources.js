@@ -0,0 +1,45 @@
+// ./src/auth/resources.js
+
+// Permit resource descriptions shared by the authorizer and the handlers.
+// Building them in one place keeps decision cache keys identical wherever
+// the same question is asked. Resources without a tenant are checked in the
+// request's tenant (see scopeResource in src/utils/tenancy.js).
+
+function articleResource(article) {
+  return {
+    type: "Article",
+    tenant: article.tenant,
+    id: String(article._id),
+    attributes: {
+      author: article.author,
+      status: article.status,
+      category: article.category,
+    },
+  };
+}
+
+// For reads, embargoed or expired articles are described as
+// "scheduled"/"expired", so only their author and editors can read them
+function articleReadResource(article) {
+  const resource = articleResource(article);
+  resource.attributes.status = article.getEffectiveStatus();
+  return resource;
+}
+
+// Type-level question "may this user read premium articles?", used to decide
+// whether article listings can include everything
+function premiumArticlesResource() {
+  return {
+    type: "Article",
+
+    attributes: {
+      category: "premium",
+    },
+  };
+}
+
+module.exports = {
+  articleResource,
+  articleReadResource,
+  premiumArticlesResource,
+};
@@ -1,118 +1,270 @@
 // ./src/functions/authorizer.js
 
-const jwt = require("jsonwebtoken");
 const mongoose = require("mongoose");
 const Article = require("../models/article");
-const { Permit } = require("permitio");
+const { matchRoute, getRequestPath } = require("../routes");
+const {
+  articleReadResource,
+  premiumArticlesResource,
+} = require("../auth/resources");
+const { getAuthProvider } = require("../auth/providers");
+const { verifyToken } = require("../auth/jwt");
+const { authenticateApiKey, scopeAllows } = require("../auth/api-keys");
+const { connectDB } = require("../utils/db");
+const { recordDecision } = require("../utils/audit");
+const { getRequestId } = require("../utils/errors");
+const { DEFAULT_TENANT, withTenant } = require("../utils/tenancy");
 
-const permit = new Permit({
-  pdp: process.env.PERMIT_PDP_URL,
-  token: process.env.PERMIT_API_KEY,
-});
+const provider = getAuthProvider();
 
 exports.handler = async (event) => {
-  console.log("🔐 Authorization request:", JSON.stringify(event, null, 2));
+  // Only where the request goes: the headers carry the caller's API key
+  // or token, which must never reach the logs
+  console.log(
+    "🔐 Authorization request:",
+    JSON.stringify({
+      httpMethod: event.httpMethod,
+      path: event.path,
+      methodArn: event.methodArn,
+    }),
+  );
 
   try {
-    // Extract JWT token from Authorization header
-    const token = extractToken(event);
-    if (!token) {
+    // Machine clients send an API key, people a JWT
+    const apiKey = extractApiKey(event);
+    const token = apiKey ? null : extractToken(event);
+    if (!apiKey && !token) {
       throw new Error("No token provided");
     }
 
-    // Verify and decode JWT
-    const user = jwt.verify(token, process.env.JWT_SECRET);
+    // The audit log lives in MongoDB; decisions don't depend on it
+    await connectDB().catch(() => {});
+
+    // Verify the API key, or the JWT (shared secret or identity provider
+    // keys) and map its claims; see src/auth/jwt.js
+    const user = apiKey
+      ? await authenticateApiKeyUser(apiKey)
+      : await verifyToken(token);
     console.log("👤 User:", user);
 
-    // Extract resource and action from request
-    const { resource, action, resourceId } = extractResourceInfo(event);
-    console.log("🎯 Checking:", {
-      user: user.userId,
+    // Everything below runs in the caller's tenant: the article lookup,
+    // every check and every audit entry
+    return await withTenant(user.tenant, () => authorizeRequest(event, user));
+  } catch (error) {
+    console.error("❌ Authorization failed:", error.message);
+    throw new Error("Unauthorized");
+  }
+};
+
+// Decide whether the authenticated user may make the request
+async function authorizeRequest(event, user) {
+  // Extract resource and action from request
+  const { resource, action, resourceId, lookup } = extractResourceInfo(event);
+  console.log("🎯 Checking:", {
+    user: user.userId,
+    action,
+    resource,
+    resourceId,
+  });
+
+  // Unknown paths and methods reach no data: the content handler answers
+  // them with a 404 or 405, so being authenticated is enough
+  if (!action) {
+    console.log("🧭 No matching route, leaving the 404/405 to the handler");
+    return generatePolicy(
+      user.userId,
+      "Allow",
+      event.methodArn,
+      userContext(user),
+    );
+  }
+
+  // Every allow/deny below is written to the audit log
+  const audit = (allowed, failedCheck, reason) =>
+    recordDecision({
+      source: "authorizer",
+      requestId: getRequestId(event),
+      userId: user.userId,
+      role: user.role,
+      authType: userContext(user).auth_type,
       action,
-      resource,
-      resourceId,
+      resource: resource?.type || resource,
+      resourceId: resourceId || undefined,
+      allowed,
+      failedCheck,
+      reason,
     });
 
-    // 1. RBAC: Check basic role permissions
-    const rbacAllowed = await permit.check(user.userId, action, resource);
+  // API keys are limited to their scopes on top of their role's permissions
+  if (
+    user.scopes &&
+    !scopeAllows(user.scopes, resource?.type || resource, action)
+  ) {
+    console.log(
+      `🚫 Scope denied: API key ${user.apiKeyId} has no scope for '${action}' on ${resource?.type || resource}`,
+    );
+    await audit(false, "SCOPE", "API key scope does not cover the request");
+    throw new Error("Forbidden - API key scope");
+  }
+
+  // Every decision made here is passed on to the content handler, which
+  // seeds its decision cache with them instead of asking the PDP again
+  const authz = provider.session();
+
+  // Single-article reads: one check with the article's attributes covers
+  // RBAC, ABAC and ReBAC at once. Only when it is denied do the separate
+  // checks below run, so the handler can still explain a denial.
+  let article = null;
+  let fullyAllowed = false;
+  if (resource?.type === "Article" && resourceId && action === "read") {
+    article = await loadArticle(resourceId, lookup);
+    if (article) {
+      fullyAllowed = await authz.check(
+        user.userId,
+        "read",
+        articleReadResource(article),
+      );
+      console.log("🧾 Combined RBAC/ABAC/ReBAC Result:", fullyAllowed);
+    }
+  }
+
+  if (!fullyAllowed) {
+    // 1. RBAC: Check basic role permissions. Article listings also need to
+    // know about premium access, so ask both questions in one round trip.
+    const [rbacAllowed] =
+      resource?.type === "Article" && !resourceId && action === "read"
+        ? await authz.bulkCheck([
+            { user: user.userId, action, resource },
+            {
+              user: user.userId,
+              action: "read",
+              resource: premiumArticlesResource(),
+            },
+          ])
+        : [await authz.check(user.userId, action, resource)];
     console.log("🏷️ RBAC Result:", rbacAllowed);
 
     if (!rbacAllowed) {
       console.log(
-        `🚫 Access denied: User ${user.userId} (${user.role}) cannot perform '${action}' on ${resource?.type}`,
+        `🚫 Access denied: User ${user.userId} (${user.role}) cannot perform '${action}' on ${resource?.type || resource}`,
       );
+      await audit(false, "RBAC", `Role ${user.role} cannot ${action}`);
       throw new Error("Forbidden");
     }
 
     // 2. ABAC: Policy-level attribute-based access control
-    let abacAllowed = true;
-    if (resource === "Article" && resourceId && action === "read") {
-      try {
-        // For premium content access, check against article attributes
-
-        // Ensure database connection
-        if (!mongoose.connection.readyState) {
-          await mongoose.connect(process.env.MONGODB_URI, {
-            useNewUrlParser: true,
-            useUnifiedTopology: true,
-          });
-        }
-
-        const article = await Article.findById(resourceId);
-        if (article?.category === "premium") {
-          // Policy-level ABAC: Check if user can access premium content
-          abacAllowed = await permit.check(user.userId, "read", {
-            type: "Article",
-            key: "Article",
-            attributes: { category: "premium" },
-          });
-
-          console.log("📊 ABAC Result (premium content):", abacAllowed);
-
-          if (!abacAllowed) {
-            console.log(
-              `🚫 ABAC denied: User ${user.userId} cannot access premium content`,
-            );
-            throw new Error("Forbidden - Premium subscription required");
-          }
-        }
-      } catch (dbError) {
-        console.error("Database error in ABAC check:", dbError);
-        // Fail securely on database errors
-        if (dbError.message.includes("Forbidden")) throw dbError;
-        throw new Error("Forbidden");
+    if (article?.category === "premium") {
+      // Policy-level ABAC: Check if user can access premium content
+      const abacAllowed = await authz.check(
+        user.userId,
+        "read",
+        premiumArticlesResource(),
+      );
+
+      console.log("📊 ABAC Result (premium content):", abacAllowed);
+
+      if (!abacAllowed) {
+        console.log(
+          `🚫 ABAC denied: User ${user.userId} cannot access premium content`,
+        );
+        await audit(false, "ABAC", "Premium subscription required");
+        throw new Error("Forbidden - Premium subscription required");
       }
     }
+  }
+
+  // ABAC context for application-level decisions (rate limiting)
+  const abacContext = {
+    subscription_tier: user.subscription_tier || "free",
+    rate_tier: userContext(user).rate_tier,
+    user_role: user.role,
+  };
+  console.log("📊 ABAC Context for rate limiting:", abacContext);
+
+  // 3. Basic ReBAC: For update/delete operations, add ownership context
+  let rebacContext = {};
+  if (resourceId && ["update", "delete"].includes(action)) {
+    rebacContext.resource_owner_check = true;
+    console.log("🔗 ReBAC: Ownership check required for", resourceId);
+  }
+
+  await audit(true);
+
+  // Generate allow policy with user context
+  return generatePolicy(user.userId, "Allow", event.methodArn, {
+    ...userContext(user),
+    resource: resource?.type || resource,
+    action,
+    resourceId: resourceId || "",
+    authz_decisions: JSON.stringify(authz.decisions),
+  });
+}
+
+// Context describing the caller, the same shape for JWT users and API keys
+function userContext(user) {
+  return {
+    userId: user.userId,
+    email: user.email,
+    role: user.role,
+    subscription_tier: user.subscription_tier || "free",
+    rate_tier: user.rate_tier || user.subscription_tier || "free",
+    tenant: user.tenant,
+    auth_type: user.scopes ? "api_key" : "jwt",
+    api_key_id: user.apiKeyId || "",
+  };
+}
+
+// Load an article, by ID or by slug, for attribute checks, failing securely
+// on database errors
+async function loadArticle(articleId, lookup = "id") {
+  try {
+    // Ensure database connection
+    if (!mongoose.connection.readyState) {
+      await mongoose.connect(process.env.MONGODB_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+    }
 
-    // ABAC context for application-level decisions (rate limiting)
-    const abacContext = {
-      subscription_tier: user.subscription_tier || "free",
-      user_role: user.role,
-    };
-    console.log("📊 ABAC Context for rate limiting:", abacContext);
-
-    // 3. Basic ReBAC: For update/delete operations, add ownership context
-    let rebacContext = {};
-    if (resourceId && ["update", "delete"].includes(action)) {
-      rebacContext.resource_owner_check = true;
-      console.log("🔗 ReBAC: Ownership check required for", resourceId);
+    if (lookup === "slug") {
+      return (await Article.findBySlug(articleId)).article;
     }
+    return mongoose.isValidObjectId(articleId)
+      ? await Article.findById(articleId)
+      : null;
+  } catch (dbError) {
+    console.error("Database error in ABAC check:", dbError);
+    throw new Error("Forbidden");
+  }
+}
 
-    // Generate allow policy with user context
-    return generatePolicy(user.userId, "Allow", event.methodArn, {
-      userId: user.userId,
-      email: user.email,
-      role: user.role,
-      subscription_tier: user.subscription_tier || "free",
-      resource,
-      action,
-      resourceId: resourceId || "",
-    });
-  } catch (error) {
-    console.error("❌ Authorization failed:", error.message);
-    throw new Error("Unauthorized");
+// Resolve an API key to a user-shaped principal; throws for unknown,
+// revoked or expired keys
+async function authenticateApiKeyUser(key) {
+  await connectDB();
+
+  const apiKey = await authenticateApiKey(key);
+  if (!apiKey) {
+    throw new Error("Invalid API key");
   }
-};
+
+  return {
+    userId: apiKey.getPrincipal(),
+    email: "",
+    role: apiKey.role,
+    // Premium content access; the key's rate tier only sets its quota
+    subscription_tier: apiKey.subscriptionTier || "free",
+    rate_tier: apiKey.rateTier,
+    // Keys act in the tenant they were issued in
+    tenant: apiKey.tenant || DEFAULT_TENANT,
+    apiKeyId: String(apiKey._id),
+    scopes: apiKey.scopes,
+  };
+}
+
+function extractApiKey(event) {
+  return event.headers?.["X-API-Key"] || event.headers?.["x-api-key"] || null;
+}
 
 function extractToken(event) {
   // Handle different token locations
@@ -131,84 +283,34 @@ function extractToken(event) {
   return null;
 }
 
+// Find the route for the request (see src/routes/index.js) and the Permit
+// resource and action it needs. Unknown routes have no action.
 function extractResourceInfo(event) {
-  // Parse method ARN or path to determine resource and action
   const methodArn = event.methodArn || "";
-  const path = event.path || "";
+  const path = getRequestPath(event);
 
   console.log("🔍 Parsing request:", { methodArn, path });
 
-  // Extract HTTP method and resource path
-  let method = event.httpMethod;
-  let resourcePath = path;
+  // REQUEST authorizers get the method directly; fall back to the ARN
+  // (arn:aws:execute-api:region:account:api/stage/METHOD/path)
+  const method = event.httpMethod || methodArn.split("/")[2];
 
-  if (methodArn) {
-    const parts = methodArn.split("/");
-    method = parts[parts.length - 2] || method;
+  const { route, resourceId } = matchRoute(method, path);
+  if (!route) {
+    return { resource: null, action: null, resourceId: null, lookup: null };
   }
 
-  // Map resource paths to Permit.io resources
-  let resource = {
-    type: "Article",
-    key: "Article",
-    attributes: {
-      category: "free",
-    },
-  }; // default
-  let resourceId = null;
-  const pathParts = resourcePath.split("/");
-
-  if (resourcePath.includes("articles")) {
-    resource = {
-      type: "Article",
-      key: "Article",
-      attributes: {
-        category: "free",
-      },
-    };
-    const articleIndex = pathParts.indexOf("articles");
-    if (
-      articleIndex >= 0 &&
-      pathParts[articleIndex + 1] &&
-      pathParts[articleIndex + 1] !== "publish"
-    ) {
-      resourceId = pathParts[articleIndex + 1];
-    }
-  } else if (resourcePath.includes("categories")) {
-    resource = "Category";
-    const pathParts = resourcePath.split("/");
-    const categoryIndex = pathParts.indexOf("categories");
-    if (categoryIndex >= 0 && pathParts[categoryIndex + 1]) {
-      resourceId = pathParts[categoryIndex + 1];
-    }
-  } else if (resourcePath.includes("comments")) {
-    resource = "Comment";
-    const pathParts = resourcePath.split("/");
-    const commentIndex = pathParts.indexOf("comments");
-    if (commentIndex >= 0 && pathParts[commentIndex + 1]) {
-      resourceId = pathParts[commentIndex + 1];
-    }
-  } else if (resourcePath.includes("media")) {
-    resource = "Media";
-    const pathParts = resourcePath.split("/");
-    const mediaIndex = pathParts.indexOf("media");
-    if (mediaIndex >= 0 && pathParts[mediaIndex + 1]) {
-      resourceId = pathParts[mediaIndex + 1];
-    }
-  }
-
-  // Map HTTP methods to actions
-  const actionMap = {
-    GET: "read",
-    POST: resourcePath.includes("publish") ? "publish" : "create",
-    PUT: "update",
-    DELETE: "delete",
-  };
+  // Articles are checked as free content until their attributes are known
+  const resource =
+    route.resource === "Article"
+      ? { type: "Article", key: "Article", attributes: { category: "free" } }
+      : route.resource;
 
   return {
     resource,
-    action: actionMap[method] || "read",
+    action: route.action,
     resourceId,
+    lookup: route.lookup || "id",
   };
 }
 
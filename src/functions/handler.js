@@ -1,35 +1,115 @@
 // ./src/functions/handler.js
 
+const crypto = require("crypto");
 const mongoose = require("mongoose");
 const Article = require("../models/article");
+const Category = require("../models/category");
+const Comment = require("../models/comment");
+const Media = require("../models/media");
+const Revision = require("../models/revision");
+const ApiKey = require("../models/api-key");
+const AuditLog = require("../models/audit-log");
+const Webhook = require("../models/webhook");
+const WebhookDelivery = require("../models/webhook-delivery");
 const { createResponse } = require("../utils/response");
-const { Permit } = require("permitio");
+const {
+  articleEtag,
+  articleCacheControl,
+  conditionalResponse,
+  getHeader,
+  matchesIfMatch,
+} = require("../utils/http-cache");
+const { connectDB } = require("../utils/db");
+const rateLimit = require("../rate-limit");
+const articleSchemas = require("../schemas/article");
+const apiKeySchemas = require("../schemas/api-key");
+const categorySchemas = require("../schemas/category");
+const commentSchemas = require("../schemas/comment");
+const mediaSchemas = require("../schemas/media");
+const webhookSchemas = require("../schemas/webhook");
+const { parseJsonBody, validateBody } = require("../utils/validation");
+const { parsePagination } = require("../utils/pagination");
+const {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  MethodNotAllowedError,
+  ConflictError,
+  PreconditionFailedError,
+  PreconditionRequiredError,
+  RateLimitedError,
+  UpstreamError,
+  getRequestId,
+  toErrorResponse,
+} = require("../utils/errors");
+const { parseMultipart } = require("../utils/multipart");
+const { getImageDimensions } = require("../utils/image-size");
+const { diffSnapshots } = require("../utils/diff");
+const {
+  workflow,
+  getTransition,
+  getAvailableTransitions,
+} = require("../utils/workflow");
+const { getStorage, generateKey } = require("../storage");
+const {
+  parseArticleListQuery,
+  buildSort,
+  buildCursorFilter,
+  encodeCursor,
+} = require("../utils/article-query");
+const {
+  articleResource,
+  articleReadResource,
+  premiumArticlesResource,
+} = require("../auth/resources");
+const { getAuthProvider } = require("../auth/providers");
+const {
+  seedDecisions,
+  decisionCache,
+  invalidateUserDecisions,
+} = require("../auth/cached-provider");
+const { generateApiKey } = require("../auth/api-keys");
+const {
+  assertDeliverableUrl,
+  emitEvent,
+  replayDelivery,
+} = require("../webhooks");
+const { generateSecret } = require("../webhooks/signature");
+const { RESPONSE_FORMATS, formatContent } = require("../utils/content");
+const { matchRoute, getRequestPath } = require("../routes");
+const {
+  withAuditContext,
+  recordDecision,
+  recordMutation,
+} = require("../utils/audit");
+const {
+  DEFAULT_TENANT,
+  withTenant,
+  currentTenant,
+} = require("../utils/tenancy");
+
+const authz = getAuthProvider();
+
+// How long deleted articles stay in the trash before the scheduler purges them
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS ?? 30);
+
+// When true, clients other than admins must send If-Match to update, delete,
+// publish or schedule an article or restore one of its revisions, so none of
+// them can overwrite changes unseen
+const REQUIRE_IF_MATCH = process.env.REQUIRE_IF_MATCH === "true";
 
-const permit = new Permit({
-  pdp: process.env.PERMIT_PDP_URL,
-  token: process.env.PERMIT_API_KEY,
-});
-
-// MongoDB connection with reuse across Lambda invocations
-let isConnected = false;
-const connectDB = async () => {
-  if (isConnected) return;
+exports.handler = async (event) => {
+  const requestId = getRequestId(event);
 
   try {
-    await mongoose.connect(process.env.MONGODB_URI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-    });
-    isConnected = true;
-    console.log("✅ Connected to MongoDB");
+    await connectDB();
   } catch (error) {
-    console.error("❌ MongoDB connection failed:", error);
-    throw error;
+    return toErrorResponse(
+      new UpstreamError("Database unavailable", error),
+      requestId,
+    );
   }
-};
-
-exports.handler = async (event) => {
-  await connectDB();
 
   console.log(
     "📨 Request:",
@@ -47,353 +127,2512 @@ exports.handler = async (event) => {
 
   // Extract user context from authorizer
   const context = event.requestContext?.authorizer || {};
-  const { userId, role, subscription_tier } = context;
+  const { userId, subscription_tier } = context;
 
-  const { httpMethod, pathParameters = {}, body, path } = event;
+  // Reuse the decisions the authorizer already got from the PDP
+  seedDecisions(context.authz_decisions);
 
+  // ABAC: Check rate limits based on subscription tier. API keys have a
+  // rate tier of their own, separate from their content access.
+  const rateTier = context.rate_tier || subscription_tier;
+  let rateLimitResult = null;
   try {
-    // ABAC: Check rate limits based on subscription tier
-    await enforceRateLimiting(userId, subscription_tier);
-
-    // Route to appropriate handler based on path
-    if (path.includes("/articles")) {
-      return await handleArticles(httpMethod, pathParameters, body, context);
-    } else if (path.includes("/categories")) {
-      return await handleCategories(httpMethod, pathParameters, body, context);
-    } else if (path.includes("/comments")) {
-      return await handleComments(httpMethod, pathParameters, body, context);
-    } else if (path.includes("/media")) {
-      return await handleMedia(httpMethod, pathParameters, body, context);
+    rateLimitResult = await enforceRateLimiting(
+      userId,
+      rateTier,
+      context.tenant || DEFAULT_TENANT,
+    );
+  } catch (error) {
+    // Fail open: an unavailable limiter store shouldn't take the API down
+    console.error("❌ Rate limiter unavailable:", error.message);
+  }
+  const limitHeaders = rateLimit.rateLimitHeaders(rateLimitResult);
+
+  let response;
+  try {
+    if (rateLimitResult && !rateLimitResult.allowed) {
+      throw new RateLimitedError(
+        `Rate limit exceeded. ${rateTier || "free"} tier allows ${rateLimitResult.limit} requests/hour`,
+        { retryAfter: rateLimitResult.retryAfter },
+      );
     }
 
-    return createResponse(404, { error: "Resource not found" });
+    // Every query and check runs in the caller's tenant (see
+    // src/utils/tenancy.js), so content never crosses between tenants
+    response = await withTenant(context.tenant || DEFAULT_TENANT, () =>
+      withAuditContext(
+        {
+          requestId,
+          userId,
+          role: context.role,
+          authType: context.auth_type,
+        },
+        () => routeRequest(event, context),
+      ),
+    );
   } catch (error) {
-    console.error("❌ Request failed:", error);
-    return createResponse(500, { error: error.message });
+    response = toErrorResponse(error, requestId);
   }
+
+  // Every response reports the caller's remaining quota and the request ID
+  response.headers = {
+    ...response.headers,
+    ...limitHeaders,
+    "X-Request-Id": requestId,
+  };
+  console.log("🗃️ Authz cache:", JSON.stringify(decisionCache.stats()));
+  return response;
 };
 
-async function handleArticles(method, params = {}, body, context) {
-  const { userId, role, subscription_tier } = context;
-
-  // Extract article ID from path parameters
-  const getArticleIdFromPath = () => {
-    if (params.proxy) {
-      const pathParts = params.proxy.split("/");
-      const articleIndex = pathParts.indexOf("articles");
-      if (
-        articleIndex >= 0 &&
-        pathParts[articleIndex + 1] &&
-        !["publish"].includes(pathParts[articleIndex + 1])
-      ) {
-        return pathParts[articleIndex + 1];
-      }
+async function routeRequest(event, context) {
+  const { httpMethod, queryStringParameters, headers, body } = event;
+
+  // Routes are shared with the authorizer; see src/routes/index.js
+  const { route, params, allowedMethods } = matchRoute(
+    httpMethod,
+    getRequestPath(event),
+  );
+  // Routes served by another function never reach this one through API
+  // Gateway; treat them as unknown
+  if (!route || !routeHandlers[route.handler]) {
+    if (allowedMethods?.length) {
+      throw new MethodNotAllowedError(
+        `Method ${httpMethod} not allowed`,
+        allowedMethods,
+      );
+    }
+    throw new NotFoundError("Resource not found");
+  }
+
+  try {
+    return await routeHandlers[route.handler]({
+      route,
+      params,
+      query: queryStringParameters || {},
+      headers: headers || {},
+      body,
+      event,
+      context,
+    });
+  } catch (error) {
+    // The authorizer audits its own decisions; these are the finer-grained
+    // denials (ownership, premium content, ...) made while handling the route
+    if (error instanceof ForbiddenError) {
+      await recordDecision({
+        source: "handler",
+        action: route.action,
+        resource: route.resource,
+        resourceId: route.idParam ? params[route.idParam] : undefined,
+        allowed: false,
+        failedCheck: error.check,
+        reason: error.message,
+      });
     }
-    return params.id || null;
+    throw error;
+  }
+}
+
+// Route handlers by the names used in src/routes/index.js. Each receives
+// { route, params, query, headers, body, event, context }.
+const routeHandlers = {
+  // Articles
+  listArticles: ({ context, query, headers }) =>
+    listArticles(context, query, headers),
+  getArticle: ({ params, context, query, headers }) =>
+    getArticle(params.id, context, query, headers),
+  getArticleBySlug: ({ params, context, query, headers }) =>
+    getArticleBySlug(params.slug, context, query, headers),
+  createArticle: ({ body, context }) =>
+    createArticle(body, context.userId, context.role),
+  updateArticle: ({ params, body, context, headers }) =>
+    updateArticle(params.id, body, context.userId, context.role, headers),
+  deleteArticle: ({ params, context, headers }) =>
+    deleteArticle(params.id, context.userId, context.role, headers),
+  listTrash: ({ context, query }) => listTrash(context, query),
+  restoreArticle: ({ params, context, headers }) =>
+    restoreArticle(params.id, context, headers),
+  purgeArticle: ({ params, context }) => purgeArticle(params.id, context),
+  getArticleWorkflow: ({ params, context }) =>
+    getArticleWorkflow(params.id, context),
+  scheduleArticle: ({ params, body, context, headers }) =>
+    scheduleArticle(params.id, body, context.userId, context.role, headers),
+  publishArticle: ({ params, context, headers }) =>
+    publishArticle(params.id, context.userId, context.role, headers),
+  transitionArticle: ({ route, params, body, context, headers }) =>
+    transitionArticle(
+      params.id,
+      getTransition(route.transition),
+      body,
+      context.userId,
+      { role: context.role, headers },
+    ),
+
+  // Revisions
+  listRevisions: ({ params, context }) =>
+    listRevisions(params.id, context.userId),
+  getRevision: ({ params, context }) =>
+    getRevision(params.id, params.number, context.userId),
+  compareRevisions: async ({ params, query, context }) =>
+    compareRevisions(
+      await loadArticleForRevisions(params.id, context.userId),
+      query,
+    ),
+  restoreRevision: ({ params, context, headers }) =>
+    restoreRevision(
+      params.id,
+      params.number,
+      context.userId,
+      context.role,
+      headers,
+    ),
+
+  // Categories
+  listCategories: ({ query }) => listCategories(query),
+  getCategory: ({ params }) => getCategory(params.id),
+  getCategoryArticles: ({ params, context, query }) =>
+    getCategoryArticles(params.id, context, query),
+  createCategory: ({ body, context }) => createCategory(body, context.userId),
+  updateCategory: ({ params, body, context }) =>
+    updateCategory(params.id, body, context.userId),
+  deleteCategory: ({ params, context }) =>
+    deleteCategory(params.id, context.userId),
+
+  // Comments (?articleId lists one article's thread)
+  listComments: ({ context, query }) =>
+    query.articleId
+      ? getArticleComments(query.articleId, context, query)
+      : listComments(context, query),
+  getComment: ({ params, context }) => getComment(params.id, context),
+  createComment: ({ body, context }) => createComment(body, context),
+  updateComment: ({ params, body, context }) =>
+    updateComment(params.id, body, context.userId),
+  deleteComment: ({ params, context }) =>
+    deleteComment(params.id, context.userId),
+  moderateComment: ({ params, body, context }) =>
+    moderateComment(params.id, body, context.userId),
+
+  // Media (binary uploads arrive base64-encoded from API Gateway)
+  listMedia: ({ context, query }) => listMedia(context, query),
+  getMedia: ({ params, context }) => getMedia(params.id, context),
+  getMediaFile: ({ params, context }) => getMediaFile(params.id, context),
+  uploadMedia: ({ event, headers, context }) =>
+    uploadMedia(
+      event.isBase64Encoded && event.body
+        ? Buffer.from(event.body, "base64")
+        : event.body,
+      headers,
+      context.userId,
+    ),
+  updateMedia: ({ params, body, context }) =>
+    updateMedia(params.id, body, context.userId),
+  deleteMedia: ({ params, context }) => deleteMedia(params.id, context.userId),
+  attachMedia: ({ params, body, context }) =>
+    setMediaAttachment(params.id, body, context.userId, true),
+  detachMedia: ({ params, body, context }) =>
+    setMediaAttachment(params.id, body, context.userId, false),
+
+  // API keys
+  listApiKeys: ({ context, query }) => listApiKeys(context, query),
+  getApiKey: ({ params, context }) => getApiKey(params.id, context),
+  createApiKey: ({ body, context }) => createApiKey(body, context),
+  revokeApiKey: ({ params, context }) => revokeApiKey(params.id, context),
+
+  // Webhooks
+  listWebhooks: ({ context }) => listWebhooks(context),
+  getWebhook: ({ params, context }) => getWebhook(params.id, context),
+  createWebhook: ({ body, context }) => createWebhook(body, context),
+  updateWebhook: ({ params, body, context }) =>
+    updateWebhook(params.id, body, context),
+  deleteWebhook: ({ params, context }) => deleteWebhook(params.id, context),
+  listWebhookDeliveries: ({ params, context, query }) =>
+    listWebhookDeliveries(params.id, context, query),
+  getWebhookDelivery: ({ params, context }) =>
+    getWebhookDelivery(params.id, params.deliveryId, context),
+  replayWebhookDelivery: ({ params, context }) =>
+    replayWebhookDelivery(params.id, params.deliveryId, context),
+
+  // Audit log
+  listAuditLogs: ({ context, query }) => listAuditLogs(context, query),
+  getAuditLog: ({ params, context }) => getAuditLog(params.id, context),
+};
+
+async function listArticles(context, query, headers) {
+  const { userId, role } = context;
+
+  const listOptions = parseArticleListQuery(query);
+  if (listOptions.errors) {
+    throw new ValidationError("Invalid query parameters", listOptions.errors);
+  }
+  const format = parseResponseFormat(query);
+
+  const { articles, total, pagination } = await getFilteredArticles(
+    userId,
+    role,
+    listOptions,
+  );
+  return conditionalResponse(headers, {
+    articles: articles.map((article) => presentArticle(article, format)),
+    total,
+    pagination,
+    user_context: { userId, role },
+  });
+}
+
+// Access is checked before validators are compared, so a 304 never confirms
+// an article the caller can't read
+async function getArticle(articleId, context, query, headers) {
+  const format = parseResponseFormat(query);
+  const article = await Article.findById(articleId);
+  if (!article) {
+    throw new NotFoundError("Article not found");
+  }
+
+  await assertArticleReadAccess(article, context);
+
+  return articleResponse(headers, article, format);
+}
+
+// Same checks and caching as by ID. A slug the article had before a rename
+// still finds it, with a redirect hint so clients can update their links.
+async function getArticleBySlug(slug, context, query, headers) {
+  const format = parseResponseFormat(query);
+  const { article, renamed } = await Article.findBySlug(slug);
+  if (!article) {
+    throw new NotFoundError("Article not found");
+  }
+
+  await assertArticleReadAccess(article, context);
+
+  if (!renamed) {
+    return articleResponse(headers, article, format);
+  }
+  const path = `/articles/by-slug/${article.slug}`;
+  return articleResponse(headers, article, format, {
+    body: { redirect: { slug: article.slug, path } },
+    headers: { Link: `<${path}>; rel="canonical"` },
+  });
+}
+
+// Each ?format= is its own representation, with its own ETag
+function articleResponse(headers, article, format, extra = {}) {
+  return conditionalResponse(
+    headers,
+    { article: presentArticle(article, format), ...extra.body },
+    {
+      etag: articleEtag(article, format),
+      lastModified: article.updatedAt || article.createdAt,
+      cacheControl: articleCacheControl(article),
+      headers: extra.headers,
+    },
+  );
+}
+
+// ?format= on article reads: html and text render the content, markdown
+// returns the source. Without it content is returned as written.
+function parseResponseFormat(query) {
+  if (query.format === undefined) return undefined;
+  if (!RESPONSE_FORMATS.includes(query.format)) {
+    throw new ValidationError("Invalid query parameters", [
+      {
+        field: "format",
+        message: `Must be one of: ${RESPONSE_FORMATS.join(", ")}`,
+      },
+    ]);
+  }
+  return query.format;
+}
+
+function presentArticle(article, format) {
+  if (!format) return article;
+  return {
+    ...article.toJSON(),
+    ...formatContent(article.content, article.contentFormat, format),
   };
+}
+
+// Use the authorization provider to check read permissions (covers both ReBAC and ABAC).
+// Throws a ForbiddenError explaining why access was denied.
+async function assertArticleReadAccess(article, context) {
+  const { userId, subscription_tier } = context;
+
+  const canRead = await authz.check(
+    userId,
+    "read",
+    articleReadResource(article),
+  );
+
+  if (canRead) {
+    return;
+  }
+
+  // Determine specific error based on article properties
+  if (!article.isPublic() && article.author !== userId) {
+    throw new ForbiddenError(
+      "Cannot view unpublished articles of other users",
+      undefined,
+      { check: "ReBAC" },
+    );
+  } else if (article.category === "premium" && subscription_tier === "free") {
+    throw new ForbiddenError(
+      "Premium subscription required to access premium content",
+      undefined,
+      { check: "ABAC" },
+    );
+  }
+  throw new ForbiddenError("Access denied");
+}
+
+// Optimistic concurrency for writes: If-Match must name the article's current
+// ETag (from a GET or an earlier write). Checked after authorization, so a
+// 412 never reveals anything about an article the caller can't change.
+function assertArticlePrecondition(
+  article,
+  headers,
+  role,
+  { required = true } = {},
+) {
+  const ifMatch = getHeader(headers, "If-Match");
+  if (ifMatch === undefined) {
+    if (required && REQUIRE_IF_MATCH && role !== "admin") {
+      throw new PreconditionRequiredError();
+    }
+    return;
+  }
+
+  const etag = articleEtag(article);
+  if (!matchesIfMatch(ifMatch, etag)) {
+    throw new PreconditionFailedError(
+      "Article has changed since it was fetched",
+      { version: article.version, etag },
+    );
+  }
+}
+
+// Save through the version guard in the Article model. Losing the race with
+// another write is answered like a stale If-Match, with the current version.
+// Mongoose reports it as a VersionError instead when the save also changed
+// an array.
+async function saveArticle(article, write = () => article.save()) {
+  try {
+    return await write();
+  } catch (error) {
+    if (
+      !(error instanceof mongoose.Error.DocumentNotFoundError) &&
+      !(error instanceof mongoose.Error.VersionError)
+    ) {
+      throw error;
+    }
 
-  const articleId = getArticleIdFromPath();
-
-  switch (method) {
-    case "GET":
-      if (articleId) {
-        // Get single article
-        const article = await Article.findById(articleId);
-        if (!article) {
-          return createResponse(404, { error: "Article not found" });
-        }
-
-        // Use Permit.io to check read permissions (covers both ReBAC and ABAC)
-        const canRead = await permit.check(userId, "read", {
-          type: "Article",
-
-          id: articleId,
-          category: article.category,
-          attributes: {
-            author: article.author,
-            status: article.status,
-            category: article.category,
-          },
-        });
-
-        if (!canRead) {
-          // Determine specific error based on article properties
-          if (article.status === "draft" && article.author !== userId) {
-            return createResponse(403, {
-              error: "Cannot view draft articles of other users",
-            });
-          } else if (
-            article.category === "premium" &&
-            subscription_tier === "free"
-          ) {
-            return createResponse(403, {
-              error: "Premium subscription required to access premium content",
-            });
-          } else {
-            return createResponse(403, {
-              error: "Access denied",
-            });
-          }
-        }
-
-        return createResponse(200, { article });
-      } else {
-        // List articles with proper filtering
-        const articles = await getFilteredArticles(userId, role);
-        return createResponse(200, {
-          articles,
-          total: articles.length,
-          user_context: { userId, role },
-        });
-      }
-
-    case "POST":
-      if (params.proxy && params.proxy.includes("publish")) {
-        // Publish article (POST /articles/{id}/publish)
-        const pathParts = params.proxy.split("/");
-        const articleIndex = pathParts.indexOf("articles");
-        const publishArticleId =
-          articleIndex >= 0 ? pathParts[articleIndex + 1] : null;
-        return await publishArticle(publishArticleId, userId, role);
-      } else {
-        // Create new article
-        return await createArticle(body, userId);
-      }
-
-    case "PUT":
-      // Update article
-      return await updateArticle(articleId, body, userId, role);
-
-    case "DELETE":
-      // Delete article
-      return await deleteArticle(articleId, userId, role);
-
-    default:
-      return createResponse(405, { error: "Method not allowed" });
+    const current = await Article.findById(article._id);
+    if (!current) {
+      throw new NotFoundError("Article not found");
+    }
+    throw new PreconditionFailedError(
+      "Article was changed by another request while saving",
+      { version: current.version, etag: articleEtag(current) },
+    );
   }
 }
 
 // ReBAC: Create article with ownership tracking
-async function createArticle(body, userId) {
-  if (!body) {
-    return createResponse(400, { error: "Request body is required" });
+// Articles can only be filed under categories of their own tenant
+async function assertCategoriesExist(categoryIds = []) {
+  if (!categoryIds.length) return;
+
+  const found = await Category.countDocuments({ _id: { $in: categoryIds } });
+  if (found !== categoryIds.length) {
+    throw new ValidationError("Validation failed", [
+      { field: "categories", message: "Contains unknown categories" },
+    ]);
   }
+}
 
-  const articleData = JSON.parse(body);
+async function createArticle(body, userId, role) {
+  const articleData = validateBody(
+    parseJsonBody(body),
+    articleSchemas.createArticle,
+    { role },
+  );
+  await assertCategoriesExist(articleData.categories);
   const article = new Article({
     ...articleData,
     author: userId, // Establish ownership relationship
   });
 
   await article.save();
-
-  return createResponse(201, {
-    message: "Article created successfully",
-    article,
-    ownership: { owner: userId },
+  await Revision.record(article, { action: "create", userId });
+  await recordMutation({
+    userId,
+    action: "create",
+    resource: "Article",
+    resourceId: String(article._id),
+    after: article,
   });
+  await emitEvent("article.created", { article });
+
+  return createResponse(
+    201,
+    {
+      message: "Article created successfully",
+      article,
+      ownership: { owner: userId },
+    },
+    { ETag: articleEtag(article) },
+  );
 }
 
-async function updateArticle(articleId, body, userId, role) {
+async function updateArticle(articleId, body, userId, role, headers) {
   if (!articleId) {
-    return createResponse(400, { error: "Article ID is required" });
+    throw new ValidationError("Article ID is required");
   }
 
   const article = await Article.findById(articleId);
   if (!article) {
-    return createResponse(404, { error: "Article not found" });
+    throw new NotFoundError("Article not found");
   }
 
-  // Use Permit.io to check update permissions (ReBAC - ownership)
-  const canUpdate = await permit.check(userId, "update", {
-    type: "Article",
-
-    id: articleId,
-    attributes: {
-      author: article.author,
-      status: article.status,
-      category: article.category,
-    },
-  });
+  // Use the authorization provider to check update permissions (ReBAC - ownership)
+  const canUpdate = await authz.check(
+    userId,
+    "update",
+    articleResource(article),
+  );
 
   if (!canUpdate) {
-    return createResponse(403, { error: "Can only edit your own articles" });
+    throw new ForbiddenError("Can only edit your own articles", undefined, {
+      check: "ReBAC",
+    });
+  }
+
+  assertArticlePrecondition(article, headers, role);
+
+  const updateData = validateBody(
+    parseJsonBody(body),
+    articleSchemas.updateArticle,
+    { role },
+  );
+  if (!Object.keys(updateData).length) {
+    throw new ValidationError("No updatable fields provided");
   }
+  await assertCategoriesExist(updateData.categories);
 
-  const updateData = JSON.parse(body);
+  const before = Revision.pickTracked(article);
+  const previous = article.toObject();
   Object.assign(article, updateData);
   article.updatedAt = new Date();
-  await article.save();
-
-  return createResponse(200, {
-    message: "Article updated successfully",
+  await saveArticle(article);
+  await Revision.record(article, { action: "update", userId, before });
+  await recordMutation({
+    userId,
+    action: "update",
+    resource: "Article",
+    resourceId: String(article._id),
+    before: previous,
+    after: article,
+  });
+  await emitEvent("article.updated", {
     article,
-    updated_by: userId,
+    changedFields: Object.keys(updateData),
   });
+
+  return createResponse(
+    200,
+    { message: "Article updated successfully", article, updated_by: userId },
+    { ETag: articleEtag(article) },
+  );
 }
 
-async function deleteArticle(articleId, userId, role) {
+async function deleteArticle(articleId, userId, role, headers) {
   if (!articleId) {
-    return createResponse(400, { error: "Article ID is required" });
+    throw new ValidationError("Article ID is required");
   }
 
   const article = await Article.findById(articleId);
   if (!article) {
-    return createResponse(404, { error: "Article not found" });
+    throw new NotFoundError("Article not found");
   }
 
-  // Use Permit.io to check delete permissions (ReBAC - ownership)
-  const canDelete = await permit.check(userId, "delete", {
-    type: "Article",
-
-    id: articleId,
-    attributes: {
-      author: article.author,
-      status: article.status,
-      category: article.category,
-    },
-  });
+  // Use the authorization provider to check delete permissions (ReBAC - ownership)
+  const canDelete = await authz.check(
+    userId,
+    "delete",
+    articleResource(article),
+  );
 
   if (!canDelete) {
-    return createResponse(403, { error: "Can only delete your own articles" });
+    throw new ForbiddenError("Can only delete your own articles", undefined, {
+      check: "ReBAC",
+    });
   }
 
-  await Article.findByIdAndDelete(articleId);
+  assertArticlePrecondition(article, headers, role);
+
+  // Deleting moves the article to the trash, from where it can be restored
+  // until it is purged
+  const previous = article.toObject();
+  article.deletedAt = new Date();
+  article.deletedBy = userId;
+  await saveArticle(article);
+  await recordMutation({
+    userId,
+    action: "delete",
+    resource: "Article",
+    resourceId: String(article._id),
+    before: previous,
+    after: article,
+  });
+  await emitEvent("article.deleted", { article });
 
   return createResponse(200, {
-    message: "Article deleted successfully",
+    message: "Article moved to trash",
     deleted_by: userId,
+    purge_after: trashPurgeDate(article),
   });
 }
 
-async function publishArticle(articleId, userId, role) {
-  if (!articleId) {
-    return createResponse(400, { error: "Article ID is required" });
+const trashPurgeDate = (article) =>
+  new Date(
+    article.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+  );
+
+// Articles in the trash, most recently deleted first. Editors and admins see
+// everyone's; others only their own.
+async function listTrash(context, query) {
+  const { userId, role } = context;
+
+  const errors = [];
+  const { limit, offset } = parsePagination(query, errors);
+  if (errors.length) {
+    throw new ValidationError("Invalid query parameters", errors);
   }
 
-  const article = await Article.findById(articleId);
+  const filter = { deletedAt: { $ne: null } };
+  if (!["editor", "admin"].includes(role)) {
+    filter.author = userId;
+  }
+
+  const [articles, total] = await Promise.all([
+    Article.find(filter, { content: 0 })
+      .sort({ deletedAt: -1, _id: -1 })
+      .skip(offset)
+      .limit(limit),
+    Article.countDocuments(filter),
+  ]);
+
+  return createResponse(200, {
+    articles: articles.map((article) => ({
+      ...article.toJSON(),
+      purge_after: trashPurgeDate(article),
+    })),
+    total,
+    pagination: { limit, offset, hasMore: offset + articles.length < total },
+  });
+}
+
+async function findTrashedArticle(articleId) {
+  const article = mongoose.isValidObjectId(articleId)
+    ? await Article.findOne({ _id: articleId, deletedAt: { $ne: null } })
+    : null;
   if (!article) {
-    return createResponse(404, { error: "Article not found" });
+    throw new NotFoundError("Article not found in trash");
   }
+  return article;
+}
 
-  // Use Permit.io to check publish permissions
-  const canPublish = await permit.check(userId, "publish", {
-    type: "Article",
+async function restoreArticle(articleId, context, headers) {
+  const { userId, role } = context;
+  const article = await findTrashedArticle(articleId);
 
-    id: articleId,
-    attributes: {
-      author: article.author,
-      status: article.status,
-      category: article.category,
-    },
+  // Same ownership rules as deleting
+  const canRestore = await authz.check(
+    userId,
+    "delete",
+    articleResource(article),
+  );
+  if (!canRestore) {
+    throw new ForbiddenError("Can only restore your own articles", undefined, {
+      check: "ReBAC",
+    });
+  }
+
+  assertArticlePrecondition(article, headers, role, { required: false });
+
+  const previous = article.toObject();
+  article.deletedAt = null;
+  article.deletedBy = null;
+  await saveArticle(article);
+  await recordMutation({
+    userId,
+    action: "restore",
+    resource: "Article",
+    resourceId: String(article._id),
+    before: previous,
+    after: article,
+  });
+  // Receivers that dropped the article on article.deleted pick it up again
+  await emitEvent("article.updated", {
+    article,
+    changedFields: ["deletedAt"],
+    restored_by: userId,
   });
 
-  if (!canPublish) {
-    return createResponse(403, {
-      error: "Only editors and admins can publish articles",
+  return createResponse(
+    200,
+    { message: "Article restored from trash", article, restored_by: userId },
+    { ETag: articleEtag(article) },
+  );
+}
+
+// Permanent, so only articles already in the trash can be purged
+async function purgeArticle(articleId, context) {
+  const { userId } = context;
+
+  const article = await findTrashedArticle(articleId);
+
+  const canPurge = await authz.check(userId, "purge", articleResource(article));
+  if (!canPurge) {
+    throw new ForbiddenError("Only admins can purge articles", undefined, {
+      check: "RBAC",
     });
   }
 
-  article.status = "published";
-  article.updatedAt = new Date();
-  await article.save();
+  await article.purge();
+  await recordMutation({
+    userId,
+    action: "purge",
+    resource: "Article",
+    resourceId: String(article._id),
+    before: article,
+  });
 
   return createResponse(200, {
-    message: "Article published successfully",
-    article,
-    published_by: userId,
+    message: "Article purged permanently",
+    purged_by: userId,
   });
 }
 
-async function getFilteredArticles(userId, role) {
-  // For listing, we'll keep the MongoDB filtering for performance
-  // In a more sophisticated setup, you could use permit.check for each article
-  const query = {};
+async function publishArticle(articleId, userId, role, headers) {
+  return await transitionArticle(
+    articleId,
+    getTransition("publish"),
+    null,
+    userId,
+    { role, headers },
+  );
+}
 
-  // Use permit.check for listing permissions
-  const canListAll = await permit.check(userId, "read", {
-    type: "Article",
+// Move an article along the editorial workflow. Each transition is checked
+// against its own Permit action and the states it may start from. If-Match
+// is honoured on all of them, but only required (REQUIRE_IF_MATCH) to publish.
+async function transitionArticle(
+  articleId,
+  transition,
+  body,
+  userId,
+  { role, headers } = {},
+) {
+  if (!articleId) {
+    throw new ValidationError("Article ID is required");
+  }
 
-    attributes: {
-      category: "premium",
-    },
+  const article = mongoose.isValidObjectId(articleId)
+    ? await Article.findById(articleId)
+    : null;
+  if (!article) {
+    throw new NotFoundError("Article not found");
+  }
+
+  // Use the authorization provider to check the transition's permissions
+  const allowed = await authz.check(
+    userId,
+    transition.action,
+    articleResource(article),
+  );
+
+  if (!allowed) {
+    throw new ForbiddenError(
+      transition.deniedMessage ||
+        `Not allowed to ${transition.route.replace(/-/g, " ")} this article`,
+    );
+  }
+
+  assertArticlePrecondition(article, headers, role, {
+    required: transition.name === "publish",
   });
 
-  if (!canListAll || !["editor", "admin"].includes(role)) {
-    // Non-editors see published articles + their own drafts
-    query.$or = [{ status: "published" }, { author: userId }];
+  if (!transition.from.includes(article.status)) {
+    throw new ConflictError(
+      `Cannot ${transition.name} an article that is ${article.status}`,
+      {
+        status: article.status,
+        allowed_transitions: getAvailableTransitions(article.status).map(
+          ({ route }) => route,
+        ),
+      },
+    );
   }
 
-  return await Article.find(query).sort({ createdAt: -1 }).limit(20);
-}
+  const { comment } = validateBody(
+    body ? parseJsonBody(body) : {},
+    articleSchemas.transitionArticle,
+  );
+  if (transition.requireComment && !comment) {
+    throw new ValidationError(
+      `A comment is required to ${transition.route.replace(/-/g, " ")}`,
+    );
+  }
 
-// ABAC: Rate limiting based on subscription tier
-const rateLimits = new Map(); // In production, use Redis or DynamoDB
+  const previous = article.toObject();
+  await saveArticle(article, () =>
+    article.applyTransition(transition, { userId, comment }),
+  );
+  await recordMutation({
+    userId,
+    action: transition.name,
+    resource: "Article",
+    resourceId: String(article._id),
+    before: previous,
+    after: article,
+  });
+  // Unpublishing, archiving and the rest change what is public too
+  if (transition.name === "publish") {
+    await emitEvent("article.published", { article, published_by: userId });
+  } else {
+    await emitEvent("article.updated", {
+      article,
+      changedFields: ["status"],
+      transition: transition.name,
+      transitioned_by: userId,
+    });
+  }
 
-async function enforceRateLimiting(userId, subscriptionTier) {
-  if (!userId) return; // Skip for public endpoints
+  return createResponse(
+    200,
+    {
+      message: `Article moved to ${transition.to}`,
+      article,
+      transition: transition.name,
+      transitioned_by: userId,
+      ...(transition.name === "publish" && { published_by: userId }),
+    },
+    { ETag: articleEtag(article) },
+  );
+}
 
-  const now = Date.now();
-  const windowMs = 60 * 60 * 1000; // 1 hour window
+// Scheduling decides when an article goes public, so it takes the same
+// Permit action (and If-Match requirement) as publishing. Approved articles
+// are published by the scheduler once publishAt passes; published ones are
+// embargoed until then.
+async function scheduleArticle(articleId, body, userId, role, headers) {
+  const article = mongoose.isValidObjectId(articleId)
+    ? await Article.findById(articleId)
+    : null;
+  if (!article) {
+    throw new NotFoundError("Article not found");
+  }
 
-  const limits = {
-    free: 100,
-    premium: 1000,
-    enterprise: Infinity,
-  };
+  const publishTransition = getTransition("publish");
+  const canSchedule = await authz.check(
+    userId,
+    publishTransition.action,
+    articleResource(article),
+  );
 
-  const limit = limits[subscriptionTier] || limits.free;
-  if (limit === Infinity) return; // No limit for enterprise
+  if (!canSchedule) {
+    throw new ForbiddenError(
+      "Only editors and admins can schedule articles",
+      undefined,
+      { check: "RBAC" },
+    );
+  }
 
-  const key = `${userId}:${Math.floor(now / windowMs)}`;
-  const current = rateLimits.get(key) || 0;
+  assertArticlePrecondition(article, headers, role);
 
-  if (current >= limit) {
-    throw new Error(
-      `Rate limit exceeded. ${subscriptionTier} tier allows ${limit} requests/hour`,
+  const schedulable = [...publishTransition.from, publishTransition.to];
+  if (!schedulable.includes(article.status)) {
+    throw new ConflictError(
+      `Only ${schedulable.join(" or ")} articles can be scheduled`,
+      { status: article.status },
     );
   }
 
-  rateLimits.set(key, current + 1);
-  console.log(
-    `🚦 Rate limit: ${current + 1}/${limit} for ${userId} (${subscriptionTier})`,
+  // null clears a date; omitted fields are left unchanged
+  const previous = article.toObject();
+  const schedule = validateBody(
+    parseJsonBody(body),
+    articleSchemas.scheduleArticle,
   );
-
-  // Cleanup old entries occasionally
-  if (Math.random() < 0.01) {
-    for (const [k] of rateLimits) {
-      const keyTime = parseInt(k.split(":")[1]) * windowMs;
-      if (now - keyTime > windowMs) {
-        rateLimits.delete(k);
-      }
-    }
+  Object.assign(article, schedule);
+
+  if (
+    article.publishAt &&
+    article.unpublishAt &&
+    article.unpublishAt <= article.publishAt
+  ) {
+    throw new ValidationError("Invalid schedule", [
+      { field: "unpublishAt", message: "Must be later than publishAt" },
+    ]);
   }
+
+  article.updatedAt = new Date();
+  await saveArticle(article);
+  await recordMutation({
+    userId,
+    action: "schedule",
+    resource: "Article",
+    resourceId: String(article._id),
+    before: previous,
+    after: article,
+  });
+  await emitEvent("article.updated", {
+    article,
+    changedFields: Object.keys(schedule),
+  });
+
+  return createResponse(
+    200,
+    {
+      message: "Article schedule updated",
+      article,
+      effective_status: article.getEffectiveStatus(),
+      scheduled_by: userId,
+    },
+    { ETag: articleEtag(article) },
+  );
 }
 
-// Placeholder handlers for other resources
-async function handleCategories(method, params, body, context) {
+async function getArticleWorkflow(articleId, context) {
+  const { userId } = context;
+
+  const article = mongoose.isValidObjectId(articleId)
+    ? await Article.findById(articleId)
+    : null;
+  if (!article) {
+    throw new NotFoundError("Article not found");
+  }
+
+  await assertArticleReadAccess(article, context);
+
+  const transitions = await Promise.all(
+    getAvailableTransitions(article.status).map(async (transition) => ({
+      name: transition.name,
+      route: `/articles/${article._id}/${transition.route}`,
+      to: transition.to,
+      requiresComment: Boolean(transition.requireComment),
+      allowed: await authz.check(
+        userId,
+        transition.action,
+        articleResource(article),
+      ),
+    })),
+  );
+
   return createResponse(200, {
-    message: "Categories endpoint working",
-    method,
-    user: context.userId,
-    role: context.role,
+    status: article.status,
+    effective_status: article.getEffectiveStatus(),
+    publishAt: article.publishAt,
+    unpublishAt: article.unpublishAt,
+    transitions,
+    history: article.workflowHistory,
+    states: workflow.states,
   });
 }
 
-async function handleComments(method, params, body, context) {
+// Revisions can contain unpublished content, so viewing and restoring them
+// takes update rights on the article (ReBAC - ownership)
+async function loadArticleForRevisions(articleId, userId) {
+  const article = mongoose.isValidObjectId(articleId)
+    ? await Article.findById(articleId)
+    : null;
+  if (!article) {
+    throw new NotFoundError("Article not found");
+  }
+
+  const canUpdate = await authz.check(
+    userId,
+    "update",
+    articleResource(article),
+  );
+  if (!canUpdate) {
+    throw new ForbiddenError(
+      "Can only view the history of your own articles",
+      undefined,
+      { check: "ReBAC" },
+    );
+  }
+
+  return article;
+}
+
+async function listRevisions(articleId, userId) {
+  const article = await loadArticleForRevisions(articleId, userId);
+
+  // Snapshots are left out of the listing; fetch a single revision for those
+  const revisions = await Revision.find(
+    { article: article._id },
+    { snapshot: 0 },
+  ).sort({ number: -1 });
+
   return createResponse(200, {
-    message: "Comments endpoint working",
-    method,
-    user: context.userId,
-    role: context.role,
+    article: { _id: article._id, title: article.title },
+    revisions,
+    total: revisions.length,
+  });
+}
+
+async function getRevision(articleId, revisionNumber, userId) {
+  const article = await loadArticleForRevisions(articleId, userId);
+
+  const revision = await Revision.findOne({
+    article: article._id,
+    number: Number(revisionNumber),
   });
+  if (!revision) {
+    throw new NotFoundError("Revision not found");
+  }
+  return createResponse(200, { revision });
 }
 
-async function handleMedia(method, params, body, context) {
+async function compareRevisions(article, query) {
+  const from = Number(query.from);
+  if (!Number.isInteger(from)) {
+    throw new ValidationError("'from' revision number is required");
+  }
+
+  const [fromRevision, toRevision] = await Promise.all([
+    Revision.findOne({ article: article._id, number: from }),
+    query.to
+      ? Revision.findOne({ article: article._id, number: Number(query.to) })
+      : Revision.findOne({ article: article._id }).sort({ number: -1 }),
+  ]);
+  if (!fromRevision || !toRevision) {
+    throw new NotFoundError("Revision not found");
+  }
+
   return createResponse(200, {
-    message: "Media endpoint working",
-    method,
-    user: context.userId,
-    role: context.role,
+    from: fromRevision.number,
+    to: toRevision.number,
+    changes: diffSnapshots(
+      fromRevision.snapshot,
+      toRevision.snapshot,
+      Revision.TRACKED_FIELDS,
+      ["title", "content"],
+    ),
+  });
+}
+
+// Restoring applies an old snapshot as a new revision, so history is never
+// rewritten. Status is left alone: publishing has its own permission.
+async function restoreRevision(articleId, revisionRef, userId, role, headers) {
+  const article = await loadArticleForRevisions(articleId, userId);
+  assertArticlePrecondition(article, headers, role);
+
+  const revision = await Revision.findOne({
+    article: article._id,
+    number: Number(revisionRef),
+  });
+  if (!revision) {
+    throw new NotFoundError("Revision not found");
+  }
+
+  const before = Revision.pickTracked(article);
+  const previous = article.toObject();
+  for (const field of Revision.TRACKED_FIELDS) {
+    if (field !== "status" && revision.snapshot[field] !== undefined) {
+      article[field] = revision.snapshot[field];
+    }
+  }
+  article.updatedAt = new Date();
+  await saveArticle(article);
+
+  const restored = await Revision.record(article, {
+    action: "restore",
+    userId,
+    before,
+    restoredFrom: revision.number,
+  });
+  await recordMutation({
+    userId,
+    action: "restore",
+    resource: "Article",
+    resourceId: String(article._id),
+    before: previous,
+    after: article,
+  });
+  await emitEvent("article.updated", {
+    article,
+    changedFields: restored.changedFields,
+    restoredFrom: revision.number,
   });
+
+  return createResponse(
+    200,
+    {
+      message: `Article restored to revision ${revision.number}`,
+      article,
+      revision: restored.number,
+      restored_by: userId,
+    },
+    { ETag: articleEtag(article) },
+  );
+}
+
+async function getFilteredArticles(userId, role, options = {}) {
+  const {
+    filter = {},
+    sort = [["createdAt", -1]],
+    sortByRelevance = false,
+    limit = 20,
+    offset = 0,
+    cursor = null,
+  } = options;
+
+  // For listing, we'll keep the MongoDB filtering for performance
+  // In a more sophisticated setup, you could use authz.check for each article
+  const conditions = [];
+
+  // Use authz.check for listing permissions
+  const canListAll = await authz.check(
+    userId,
+    "read",
+    premiumArticlesResource(),
+  );
+
+  if (!canListAll || !["editor", "admin"].includes(role)) {
+    // Non-editors see published articles + their own drafts
+    // Scheduled and expired articles count as unpublished here
+    conditions.push({ $or: [Article.publicFilter(), { author: userId }] });
+  }
+
+  // The total counts every match; the cursor only narrows the page
+  const countQuery = conditions.length
+    ? { ...filter, $and: conditions }
+    : filter;
+  const query = cursor
+    ? { ...filter, $and: [...conditions, buildCursorFilter({ sort, cursor })] }
+    : countQuery;
+
+  const projection = sortByRelevance
+    ? { score: { $meta: "textScore" } }
+    : undefined;
+
+  // Fetch one extra document to know whether another page exists
+  const [results, total] = await Promise.all([
+    Article.find(query, projection)
+      .sort(buildSort({ sort, sortByRelevance }))
+      .skip(offset)
+      .limit(limit + 1),
+    Article.countDocuments(countQuery),
+  ]);
+
+  const hasMore = results.length > limit;
+  const articles = results.slice(0, limit);
+  const last = articles[articles.length - 1];
+
+  return {
+    articles,
+    total,
+    pagination: {
+      limit,
+      offset,
+      page: cursor ? null : Math.floor(offset / limit) + 1,
+      hasMore,
+      // Keyset cursors aren't available for relevance-ranked search results
+      nextCursor:
+        hasMore && !sortByRelevance && last ? encodeCursor(last, sort) : null,
+    },
+  };
+}
+
+// ABAC: Rate limiting based on subscription tier. Counters live in a shared
+// store (see src/rate-limit) so limits hold across Lambda instances.
+async function enforceRateLimiting(userId, subscriptionTier, tenant) {
+  if (!userId) return null; // Skip for public endpoints
+
+  // User IDs are only unique within a tenant
+  const limit = rateLimit.getTierLimit(subscriptionTier);
+  const result = await rateLimit.consume(
+    `tenant:${tenant}:user:${userId}`,
+    limit,
+  );
+
+  if (limit !== Infinity) {
+    console.log(
+      `🚦 Rate limit: ${limit - result.remaining}/${limit} for ${userId} (${subscriptionTier})`,
+    );
+  }
+
+  return result;
+}
+
+// Categories can be addressed by ObjectId or by slug
+function categoryLookup(idOrSlug) {
+  return mongoose.isValidObjectId(idOrSlug)
+    ? { _id: idOrSlug }
+    : { slug: String(idOrSlug).toLowerCase() };
+}
+
+// RBAC for categories (read/create/update/delete on "Category") is enforced
+// by the authorizer; categories have no owner, so there is no ReBAC check here
+async function listCategories(query) {
+  const filter = {};
+  if (query.parent === "root") {
+    filter.parent = null;
+  } else if (query.parent) {
+    const parent = await Category.findOne(categoryLookup(query.parent));
+    if (!parent) {
+      throw new NotFoundError("Parent category not found");
+    }
+    filter.parent = parent._id;
+  }
+
+  const categories = await Category.find(filter)
+    .sort({ order: 1, name: 1 })
+    .lean();
+
+  // ?tree=true nests children under their parents for site navigation
+  if (query.tree === "true" && !query.parent) {
+    return createResponse(200, {
+      categories: buildTree(categories),
+      total: categories.length,
+    });
+  }
+
+  return createResponse(200, { categories, total: categories.length });
+}
+
+// Nest lean documents under their `parent`. Nodes whose parent isn't in the
+// list become roots, unless dropOrphans is set (e.g. replies to hidden comments)
+function buildTree(nodes, { dropOrphans = false } = {}) {
+  const byId = new Map(
+    nodes.map((node) => [String(node._id), { ...node, children: [] }]),
+  );
+  const roots = [];
+
+  for (const node of byId.values()) {
+    const parent = node.parent && byId.get(String(node.parent));
+    if (parent) {
+      parent.children.push(node);
+    } else if (!node.parent || !dropOrphans) {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+}
+
+async function getCategory(categoryRef) {
+  const category = await Category.findOne(categoryLookup(categoryRef))
+    .populate("ancestors", "name slug")
+    .lean();
+  if (!category) {
+    throw new NotFoundError("Category not found");
+  }
+
+  const children = await Category.find({ parent: category._id })
+    .sort({ order: 1, name: 1 })
+    .lean();
+
+  return createResponse(200, {
+    category: { ...category, children },
+    breadcrumbs: [
+      ...category.ancestors,
+      { _id: category._id, name: category.name, slug: category.slug },
+    ],
+  });
+}
+
+async function getCategoryArticles(categoryRef, context, query) {
+  const { userId, role } = context;
+
+  const category = await Category.findOne(categoryLookup(categoryRef));
+  if (!category) {
+    throw new NotFoundError("Category not found");
+  }
+
+  // Include articles filed under subcategories unless asked not to
+  const categoryIds = [category._id];
+  if (query.includeSubcategories !== "false") {
+    const descendants = await Category.find(
+      { ancestors: category._id },
+      { _id: 1 },
+    );
+    categoryIds.push(...descendants.map((descendant) => descendant._id));
+  }
+
+  // Same filters, pagination and draft/ownership visibility rules as the
+  // article listing
+  const listOptions = parseArticleListQuery(query);
+  if (listOptions.errors) {
+    throw new ValidationError("Invalid query parameters", listOptions.errors);
+  }
+  listOptions.filter.categories = { $in: categoryIds };
+  const format = parseResponseFormat(query);
+
+  const { articles, total, pagination } = await getFilteredArticles(
+    userId,
+    role,
+    listOptions,
+  );
+
+  return createResponse(200, {
+    category: { _id: category._id, name: category.name, slug: category.slug },
+    articles: articles.map((article) => presentArticle(article, format)),
+    total,
+    pagination,
+    user_context: { userId, role },
+  });
+}
+
+// Resolve a parent reference and return the ancestor chain for a child of it
+async function resolveParent(parentRef) {
+  if (!parentRef) {
+    return { parent: null, ancestors: [] };
+  }
+
+  const parent = await Category.findOne(categoryLookup(parentRef));
+  if (!parent) {
+    return null;
+  }
+
+  return { parent: parent._id, ancestors: [...parent.ancestors, parent._id] };
+}
+
+async function createCategory(body, userId) {
+  const { name, slug, description, parent, order } = validateBody(
+    parseJsonBody(body),
+    categorySchemas.createCategory,
+  );
+
+  const hierarchy = await resolveParent(parent);
+  if (!hierarchy) {
+    throw new ValidationError("Parent category not found");
+  }
+
+  const categorySlug = Category.slugify(slug || name);
+  if (await Category.exists({ slug: categorySlug })) {
+    throw new ConflictError(
+      `A category with slug '${categorySlug}' already exists`,
+    );
+  }
+
+  const category = new Category({
+    name,
+    slug: categorySlug,
+    description,
+    order,
+    ...hierarchy,
+    createdBy: userId,
+  });
+  await category.save();
+
+  return createResponse(201, {
+    message: "Category created successfully",
+    category,
+    created_by: userId,
+  });
+}
+
+async function updateCategory(categoryRef, body, userId) {
+  if (!categoryRef) {
+    throw new ValidationError("Category ID is required");
+  }
+
+  const category = await Category.findOne(categoryLookup(categoryRef));
+  if (!category) {
+    throw new NotFoundError("Category not found");
+  }
+
+  const { name, slug, description, order, parent } = validateBody(
+    parseJsonBody(body),
+    categorySchemas.updateCategory,
+  );
+
+  if (name !== undefined) category.name = name;
+  if (description !== undefined) category.description = description;
+  if (order !== undefined) category.order = order;
+
+  if (slug !== undefined) {
+    const categorySlug = Category.slugify(slug);
+    const taken = await Category.exists({
+      slug: categorySlug,
+      _id: { $ne: category._id },
+    });
+    if (taken) {
+      throw new ConflictError(
+        `A category with slug '${categorySlug}' already exists`,
+      );
+    }
+    category.slug = categorySlug;
+  }
+
+  // Moving a category re-parents its whole subtree
+  let ancestorsChanged = false;
+  if (parent !== undefined) {
+    const hierarchy = await resolveParent(parent);
+    if (!hierarchy) {
+      throw new ValidationError("Parent category not found");
+    }
+
+    const wouldCycle =
+      hierarchy.parent &&
+      (hierarchy.parent.equals(category._id) ||
+        hierarchy.ancestors.some((id) => id.equals(category._id)));
+    if (wouldCycle) {
+      throw new ValidationError(
+        "A category cannot be moved under itself or its descendants",
+      );
+    }
+
+    category.parent = hierarchy.parent;
+    category.ancestors = hierarchy.ancestors;
+    ancestorsChanged = true;
+  }
+
+  category.updatedAt = new Date();
+  await category.save();
+
+  if (ancestorsChanged) {
+    await rebuildDescendantAncestors(category);
+  }
+
+  return createResponse(200, {
+    message: "Category updated successfully",
+    category,
+    updated_by: userId,
+  });
+}
+
+async function rebuildDescendantAncestors(category) {
+  const children = await Category.find({ parent: category._id });
+  for (const child of children) {
+    child.ancestors = [...category.ancestors, category._id];
+    await child.save();
+    await rebuildDescendantAncestors(child);
+  }
+}
+
+async function deleteCategory(categoryRef, userId) {
+  if (!categoryRef) {
+    throw new ValidationError("Category ID is required");
+  }
+
+  const category = await Category.findOne(categoryLookup(categoryRef));
+  if (!category) {
+    throw new NotFoundError("Category not found");
+  }
+
+  if (await Category.exists({ parent: category._id })) {
+    throw new ConflictError(
+      "Category has subcategories; move or delete them first",
+    );
+  }
+
+  await Category.findByIdAndDelete(category._id);
+  // Detach the category from any articles filed under it
+  await Article.updateMany(
+    { categories: category._id },
+    {
+      $pull: { categories: category._id },
+      $set: { updatedAt: new Date() }, // Invalidates cached copies
+      $inc: { version: 1 },
+    },
+  );
+
+  return createResponse(200, {
+    message: "Category deleted successfully",
+    deleted_by: userId,
+  });
+}
+
+// Editors and admins moderate comments; unmoderated comments are only
+// visible to moderators and to the comment's own author
+async function canModerateComments(userId) {
+  return await authz.check(userId, "moderate", "Comment");
+}
+
+// Comments inherit the visibility of their article (drafts, premium content)
+async function loadReadableArticle(articleId, context) {
+  if (!mongoose.isValidObjectId(articleId)) {
+    throw new NotFoundError("Article not found");
+  }
+
+  const article = await Article.findById(articleId);
+  if (!article) {
+    throw new NotFoundError("Article not found");
+  }
+
+  await assertArticleReadAccess(article, context);
+  return article;
+}
+
+function commentPermitResource(comment) {
+  return {
+    type: "Comment",
+
+    id: String(comment._id),
+    attributes: {
+      author: comment.author,
+      status: comment.status,
+    },
+  };
+}
+
+async function getArticleComments(articleId, context, query) {
+  const { userId } = context;
+
+  await loadReadableArticle(articleId, context);
+
+  const isModerator = await canModerateComments(userId);
+  const filter = { article: articleId };
+  if (isModerator && query.status) {
+    filter.status = query.status;
+  } else if (!isModerator) {
+    filter.$or = [{ status: "approved" }, { author: userId }];
+  }
+
+  const comments = await Comment.find(filter).sort({ createdAt: 1 }).lean();
+
+  return createResponse(200, {
+    comments: buildTree(comments, { dropOrphans: !isModerator }),
+    total: comments.length,
+  });
+}
+
+// Without an article, moderators get the moderation queue (pending by
+// default) and everyone else gets their own comments
+async function listComments(context, query) {
+  const { userId } = context;
+  const isModerator = await canModerateComments(userId);
+
+  const filter = isModerator
+    ? { status: query.status || "pending" }
+    : { author: userId };
+
+  const comments = await Comment.find(filter)
+    .sort({ createdAt: isModerator ? 1 : -1 })
+    .limit(100)
+    .populate("article", "title status");
+
+  return createResponse(200, {
+    comments,
+    total: comments.length,
+    moderation_queue: isModerator,
+  });
+}
+
+async function getComment(commentId, context) {
+  const { userId } = context;
+
+  if (!mongoose.isValidObjectId(commentId)) {
+    throw new NotFoundError("Comment not found");
+  }
+
+  const comment = await Comment.findById(commentId);
+  if (!comment) {
+    throw new NotFoundError("Comment not found");
+  }
+
+  await loadReadableArticle(comment.article, context);
+
+  if (
+    comment.status !== "approved" &&
+    comment.author !== userId &&
+    !(await canModerateComments(userId))
+  ) {
+    throw new NotFoundError("Comment not found");
+  }
+
+  return createResponse(200, { comment });
+}
+
+async function createComment(body, context) {
+  const { userId } = context;
+
+  const { articleId, parentId, content } = validateBody(
+    parseJsonBody(body),
+    commentSchemas.createComment,
+  );
+
+  const article = await loadReadableArticle(articleId, context);
+
+  let depth = 0;
+  if (parentId) {
+    const parent = await Comment.findById(parentId);
+    if (!parent || !parent.article.equals(article._id)) {
+      throw new ValidationError("Parent comment not found on this article");
+    }
+    if (parent.depth >= Comment.MAX_DEPTH) {
+      throw new ValidationError(
+        `Replies can be nested at most ${Comment.MAX_DEPTH} levels deep`,
+      );
+    }
+    depth = parent.depth + 1;
+  }
+
+  // Moderators' own comments skip the moderation queue
+  const isModerator = await canModerateComments(userId);
+
+  const comment = new Comment({
+    article: article._id,
+    parent: parentId || null,
+    depth,
+    content,
+    author: userId, // Establish ownership relationship
+    status: isModerator ? "approved" : "pending",
+  });
+  await comment.save();
+
+  return createResponse(201, {
+    message: isModerator
+      ? "Comment posted successfully"
+      : "Comment submitted for moderation",
+    comment,
+    ownership: { owner: userId },
+  });
+}
+
+async function updateComment(commentId, body, userId) {
+  if (!commentId) {
+    throw new ValidationError("Comment ID is required");
+  }
+
+  const comment = mongoose.isValidObjectId(commentId)
+    ? await Comment.findById(commentId)
+    : null;
+  if (!comment || comment.deleted) {
+    throw new NotFoundError("Comment not found");
+  }
+
+  // Use the authorization provider to check update permissions (ReBAC - ownership)
+  const canUpdate = await authz.check(
+    userId,
+    "update",
+    commentPermitResource(comment),
+  );
+
+  if (!canUpdate) {
+    throw new ForbiddenError("Can only edit your own comments", undefined, {
+      check: "ReBAC",
+    });
+  }
+
+  const { content } = validateBody(
+    parseJsonBody(body),
+    commentSchemas.updateComment,
+  );
+
+  // Edited text goes back through moderation, unless a moderator wrote it.
+  // Spam stays spam.
+  const resubmitted =
+    comment.status !== "spam" && !(await canModerateComments(userId));
+  if (resubmitted) {
+    comment.status = "pending";
+  }
+
+  comment.content = content;
+  comment.editedAt = new Date();
+  comment.updatedAt = new Date();
+  await comment.save();
+
+  return createResponse(200, {
+    message: resubmitted
+      ? "Comment updated and resubmitted for moderation"
+      : "Comment updated successfully",
+    comment,
+    updated_by: userId,
+  });
+}
+
+async function deleteComment(commentId, userId) {
+  if (!commentId) {
+    throw new ValidationError("Comment ID is required");
+  }
+
+  const comment = mongoose.isValidObjectId(commentId)
+    ? await Comment.findById(commentId)
+    : null;
+  if (!comment || comment.deleted) {
+    throw new NotFoundError("Comment not found");
+  }
+
+  // Use the authorization provider to check delete permissions (ReBAC - ownership)
+  const canDelete = await authz.check(
+    userId,
+    "delete",
+    commentPermitResource(comment),
+  );
+
+  if (!canDelete) {
+    throw new ForbiddenError("Can only delete your own comments", undefined, {
+      check: "ReBAC",
+    });
+  }
+
+  if (await Comment.exists({ parent: comment._id })) {
+    // Keep the node so replies stay attached to the thread
+    comment.deleted = true;
+    comment.content = "[deleted]";
+    comment.updatedAt = new Date();
+    await comment.save();
+  } else {
+    await Comment.findByIdAndDelete(comment._id);
+  }
+
+  return createResponse(200, {
+    message: "Comment deleted successfully",
+    deleted_by: userId,
+  });
+}
+
+async function moderateComment(commentId, body, userId) {
+  const comment = mongoose.isValidObjectId(commentId)
+    ? await Comment.findById(commentId)
+    : null;
+  if (!comment) {
+    throw new NotFoundError("Comment not found");
+  }
+
+  const canModerate = await authz.check(
+    userId,
+    "moderate",
+    commentPermitResource(comment),
+  );
+
+  if (!canModerate) {
+    throw new ForbiddenError(
+      "Only editors and admins can moderate comments",
+      undefined,
+      { check: "RBAC" },
+    );
+  }
+
+  const { status, note } = validateBody(
+    parseJsonBody(body),
+    commentSchemas.moderateComment,
+  );
+
+  comment.status = status;
+  comment.moderation = {
+    moderatedBy: userId,
+    moderatedAt: new Date(),
+    note: note || "",
+  };
+  comment.updatedAt = new Date();
+  await comment.save();
+
+  return createResponse(200, {
+    message: `Comment marked as ${status}`,
+    comment,
+    moderated_by: userId,
+  });
+}
+
+const MEDIA_MAX_BYTES = parseInt(process.env.MEDIA_MAX_BYTES || "5242880");
+const MEDIA_ALLOWED_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "video/mp4",
+  "audio/mpeg",
+  "application/pdf",
+];
+
+function mediaPermitResource(media) {
+  return {
+    type: "Media",
+
+    id: String(media._id),
+    attributes: {
+      owner: media.owner,
+      mimeType: media.mimeType,
+    },
+  };
+}
+
+async function findMedia(mediaId) {
+  return mongoose.isValidObjectId(mediaId)
+    ? await Media.findById(mediaId)
+    : null;
+}
+
+// Media is as visible as the articles it illustrates: its owner and anyone
+// who can read one of its articles see it, and so does everyone while it
+// is attached to none. Returns, for each media item, whether the caller
+// can see it and the attached articles they can read.
+async function mediaReadAccess(mediaList, context) {
+  const articles = mediaList.length
+    ? await Article.find({ media: { $in: mediaList.map(({ _id }) => _id) } })
+    : [];
+  const readable = articles.length
+    ? await authz.bulkCheck(
+        articles.map((article) => ({
+          user: context.userId,
+          action: "read",
+          resource: articleReadResource(article),
+        })),
+      )
+    : [];
+
+  return mediaList.map((media) => {
+    const attached = articles
+      .map((article, index) => ({ article, readable: readable[index] }))
+      .filter(({ article }) =>
+        article.media.some((id) => id.equals(media._id)),
+      );
+    return {
+      visible:
+        media.owner === context.userId ||
+        !attached.length ||
+        attached.some(({ readable }) => readable),
+      articles: attached
+        .filter(({ readable }) => readable)
+        .map(({ article }) => article),
+    };
+  });
+}
+
+async function findReadableMedia(mediaId, context) {
+  const media = await findMedia(mediaId);
+  if (!media) {
+    throw new NotFoundError("Media not found");
+  }
+
+  const [access] = await mediaReadAccess([media], context);
+  if (!access.visible) {
+    throw new ForbiddenError(
+      "Media is only attached to articles you cannot read",
+      undefined,
+      { check: "ReBAC" },
+    );
+  }
+  return { media, articles: access.articles };
+}
+
+// Accepts either multipart/form-data with a "file" part, or JSON with the
+// file as base64 in `data`. Other form/JSON fields carry the metadata.
+function parseUpload(body, headers) {
+  const contentType =
+    headers["Content-Type"] || headers["content-type"] || "application/json";
+
+  if (contentType.startsWith("multipart/form-data")) {
+    const { fields, files } = parseMultipart(body, contentType);
+    const file = files.find((part) => part.fieldName === "file") || files[0];
+    if (!file) return null;
+
+    return {
+      ...fields,
+      filename: fields.filename || file.filename,
+      mimeType: fields.mimeType || file.contentType,
+      data: file.data,
+    };
+  }
+
+  const { data, ...fields } = validateBody(
+    parseJsonBody(body.toString()),
+    mediaSchemas.uploadMedia,
+  );
+
+  // Tolerate data URLs ("data:image/png;base64,....")
+  const dataUrl = /^data:([^;]+);base64,/.exec(data);
+  return {
+    ...fields,
+    mimeType: fields.mimeType || dataUrl?.[1],
+    data: Buffer.from(dataUrl ? data.slice(dataUrl[0].length) : data, "base64"),
+  };
+}
+
+async function uploadMedia(body, headers, userId) {
+  if (!body) {
+    throw new ValidationError("Request body is required");
+  }
+
+  const upload = parseUpload(body, headers);
+  if (!upload || !upload.data.length) {
+    throw new ValidationError("A file is required");
+  }
+
+  const { filename, mimeType, data, altText, caption } = upload;
+  if (!MEDIA_ALLOWED_TYPES.includes(mimeType)) {
+    throw new AppError(`Unsupported media type '${mimeType}'`, {
+      statusCode: 415,
+      code: "UNSUPPORTED_MEDIA_TYPE",
+      details: { allowed: MEDIA_ALLOWED_TYPES },
+    });
+  }
+  if (data.length > MEDIA_MAX_BYTES) {
+    throw new AppError(
+      `File exceeds the ${MEDIA_MAX_BYTES} byte upload limit`,
+      { statusCode: 413, code: "PAYLOAD_TOO_LARGE" },
+    );
+  }
+
+  // Prefer dimensions read from the file itself over client-supplied values
+  const dimensions = getImageDimensions(data) || {
+    width: upload.width ? Number(upload.width) : undefined,
+    height: upload.height ? Number(upload.height) : undefined,
+  };
+
+  const storage = getStorage();
+  const stored = await storage.put(generateKey(filename), data, {
+    contentType: mimeType,
+  });
+
+  const media = new Media({
+    filename: filename || "upload",
+    mimeType,
+    size: data.length,
+    ...dimensions,
+    altText,
+    caption,
+    owner: userId, // Establish ownership relationship
+    storage: { adapter: storage.name, key: stored.key },
+    checksum: crypto.createHash("sha256").update(data).digest("hex"),
+  });
+  // Files with no public URL are served through the API
+  media.url = stored.url || `/media/${media._id}/file`;
+
+  try {
+    await media.save();
+  } catch (error) {
+    // Don't leave orphaned files behind when metadata can't be saved
+    await storage.delete(stored.key).catch(() => {});
+    throw error;
+  }
+
+  return createResponse(201, {
+    message: "Media uploaded successfully",
+    media,
+    ownership: { owner: userId },
+  });
+}
+
+async function listMedia(context, query) {
+  const filter = {};
+
+  if (query.owner) {
+    filter.owner = query.owner === "me" ? context.userId : query.owner;
+  }
+  if (query.mimeType) {
+    // "image" matches every image/* type
+    filter.mimeType = query.mimeType.includes("/")
+      ? query.mimeType
+      : new RegExp(`^${query.mimeType.replace(/[^a-z]/gi, "")}/`);
+  }
+  if (query.articleId) {
+    const article = await loadReadableArticle(query.articleId, context);
+    filter._id = { $in: article.media };
+  }
+
+  const found = await Media.find(filter).sort({ createdAt: -1 }).limit(50);
+  const access = await mediaReadAccess(found, context);
+  const media = found.filter((_, index) => access[index].visible);
+
+  return createResponse(200, { media, total: media.length });
+}
+
+async function getMedia(mediaId, context) {
+  const { media, articles } = await findReadableMedia(mediaId, context);
+
+  // Only name the articles the caller could read (drafts, premium content)
+  return createResponse(200, {
+    media,
+    attached_to: articles.map(({ _id, title, status }) => ({
+      _id,
+      title,
+      status,
+    })),
+  });
+}
+
+// The stored file itself, for adapters with no public URL of their own
+async function getMediaFile(mediaId, context) {
+  const { media } = await findReadableMedia(mediaId, context);
+
+  const data = await getStorage(media.storage.adapter).get(media.storage.key);
+  const { headers } = createResponse(200, null, {
+    "Content-Type": media.mimeType,
+    "Content-Length": String(data.length),
+    "Content-Disposition": `inline; filename="${media.filename.replace(/["\\\r\n]/g, "_")}"`,
+    "X-Content-Type-Options": "nosniff",
+    "Cache-Control": "private, max-age=86400, immutable", // Files never change
+  });
+  return {
+    statusCode: 200,
+    headers,
+    body: data.toString("base64"),
+    isBase64Encoded: true,
+  };
+}
+
+async function updateMedia(mediaId, body, userId) {
+  if (!mediaId) {
+    throw new ValidationError("Media ID is required");
+  }
+
+  const media = await findMedia(mediaId);
+  if (!media) {
+    throw new NotFoundError("Media not found");
+  }
+
+  // Use the authorization provider to check update permissions (ReBAC - ownership)
+  const canUpdate = await authz.check(
+    userId,
+    "update",
+    mediaPermitResource(media),
+  );
+
+  if (!canUpdate) {
+    throw new ForbiddenError("Can only edit your own media", undefined, {
+      check: "ReBAC",
+    });
+  }
+
+  // Only descriptive metadata is editable; the file itself is immutable
+  const { altText, caption, filename } = validateBody(
+    parseJsonBody(body),
+    mediaSchemas.updateMedia,
+  );
+  if (altText !== undefined) media.altText = altText;
+  if (caption !== undefined) media.caption = caption;
+  if (filename !== undefined) media.filename = filename;
+  media.updatedAt = new Date();
+  await media.save();
+
+  return createResponse(200, {
+    message: "Media updated successfully",
+    media,
+    updated_by: userId,
+  });
+}
+
+async function deleteMedia(mediaId, userId) {
+  if (!mediaId) {
+    throw new ValidationError("Media ID is required");
+  }
+
+  const media = await findMedia(mediaId);
+  if (!media) {
+    throw new NotFoundError("Media not found");
+  }
+
+  // Use the authorization provider to check delete permissions (ReBAC - ownership)
+  const canDelete = await authz.check(
+    userId,
+    "delete",
+    mediaPermitResource(media),
+  );
+
+  if (!canDelete) {
+    throw new ForbiddenError("Can only delete your own media", undefined, {
+      check: "ReBAC",
+    });
+  }
+
+  await getStorage(media.storage.adapter).delete(media.storage.key);
+  await Media.findByIdAndDelete(media._id);
+  await Article.updateMany(
+    { media: media._id },
+    {
+      $pull: { media: media._id },
+      $set: { updatedAt: new Date() }, // Invalidates cached copies
+      $inc: { version: 1 },
+    },
+  );
+
+  return createResponse(200, {
+    message: "Media deleted successfully",
+    deleted_by: userId,
+  });
+}
+
+// Attaching media changes the article, so it takes update rights on the
+// article (ReBAC - ownership), not on the media item
+async function setMediaAttachment(mediaId, body, userId, attach) {
+  const media = await findMedia(mediaId);
+  if (!media) {
+    throw new NotFoundError("Media not found");
+  }
+
+  const { articleId } = validateBody(
+    parseJsonBody(body),
+    mediaSchemas.mediaAttachment,
+  );
+  const article = await Article.findById(articleId);
+  if (!article) {
+    throw new NotFoundError("Article not found");
+  }
+
+  const canUpdate = await authz.check(
+    userId,
+    "update",
+    articleResource(article),
+  );
+
+  if (!canUpdate) {
+    throw new ForbiddenError(
+      "Can only attach media to your own articles",
+      undefined,
+      { check: "ReBAC" },
+    );
+  }
+
+  // Media is a tracked field, so this is recorded like any other edit.
+  // Attaching twice (or detaching what isn't attached) changes nothing.
+  const attached = article.media.some((id) => id.equals(media._id));
+  if (attach !== attached) {
+    const before = Revision.pickTracked(article);
+    const previous = article.toObject();
+    if (attach) {
+      article.media.push(media._id);
+    } else {
+      article.media.pull(media._id);
+    }
+    article.updatedAt = new Date();
+    await saveArticle(article);
+    await Revision.record(article, { action: "update", userId, before });
+    await recordMutation({
+      userId,
+      action: attach ? "attach_media" : "detach_media",
+      resource: "Article",
+      resourceId: String(article._id),
+      before: previous,
+      after: article,
+    });
+    await emitEvent("article.updated", { article, changedFields: ["media"] });
+  }
+
+  return createResponse(
+    200,
+    {
+      message: attach
+        ? "Media attached successfully"
+        : "Media detached successfully",
+      media: media._id,
+      article: { _id: article._id, media: article.media },
+    },
+    { ETag: articleEtag(article) },
+  );
+}
+
+async function assertCanManageApiKeys(context, action) {
+  // Keys are managed by people only, so a leaked key can't mint more keys
+  if (context.auth_type === "api_key") {
+    throw new ForbiddenError("API keys cannot manage API keys", undefined, {
+      check: "SCOPE",
+    });
+  }
+
+  const allowed = await authz.check(context.userId, action, "ApiKey");
+  if (!allowed) {
+    throw new ForbiddenError("Only admins can manage API keys", undefined, {
+      check: "RBAC",
+    });
+  }
+}
+
+async function findApiKey(keyId) {
+  return mongoose.isValidObjectId(keyId) ? await ApiKey.findById(keyId) : null;
+}
+
+// The plain key is returned once, here, and can't be recovered later
+async function createApiKey(body, context) {
+  const { userId } = context;
+  await assertCanManageApiKeys(context, "create");
+
+  const data = validateBody(parseJsonBody(body), apiKeySchemas.createApiKey);
+  if (data.expiresAt && data.expiresAt <= new Date()) {
+    throw new ValidationError("Validation failed", [
+      { field: "expiresAt", message: "Must be in the future" },
+    ]);
+  }
+
+  const { key, prefix, hash } = generateApiKey();
+  const apiKey = await ApiKey.create({
+    ...data,
+    prefix,
+    hash,
+    createdBy: userId,
+  });
+
+  // The key acts as its own principal, so handler-level checks (ownership,
+  // premium access, ...) apply to it like to any user with its role
+  try {
+    await authz.syncUser({
+      key: apiKey.getPrincipal(),
+      email: "",
+      first_name: apiKey.name,
+      last_name: "",
+      attributes: {
+        subscription_tier: apiKey.subscriptionTier,
+        principal_type: "api_key",
+      },
+    });
+    await authz.assignRole({
+      user: apiKey.getPrincipal(),
+      role: apiKey.role,
+      tenant: currentTenant(),
+    });
+  } catch (error) {
+    await ApiKey.deleteOne({ _id: apiKey._id });
+    throw error;
+  }
+
+  console.log(`🔑 API key ${prefix} issued by ${userId}`);
+
+  const { hash: _hash, ...apiKeyData } = apiKey.toObject();
+  return createResponse(201, {
+    message: "API key created. Store the key now: it can't be shown again.",
+    key,
+    apiKey: { ...apiKeyData, principal: apiKey.getPrincipal() },
+  });
+}
+
+async function listApiKeys(context, query) {
+  await assertCanManageApiKeys(context, "read");
+
+  const filter = query.includeRevoked === "true" ? {} : { revokedAt: null };
+  const apiKeys = await ApiKey.find(filter).sort({ createdAt: -1 }).limit(100);
+
+  return createResponse(200, { apiKeys, total: apiKeys.length });
+}
+
+async function getApiKey(keyId, context) {
+  await assertCanManageApiKeys(context, "read");
+
+  const apiKey = await findApiKey(keyId);
+  if (!apiKey) {
+    throw new NotFoundError("API key not found");
+  }
+
+  return createResponse(200, {
+    apiKey: {
+      ...apiKey.toObject(),
+      principal: apiKey.getPrincipal(),
+      active: apiKey.isActive(),
+    },
+  });
+}
+
+// Revoked keys are kept so their usage stays attributable
+async function revokeApiKey(keyId, context) {
+  const { userId } = context;
+  await assertCanManageApiKeys(context, "delete");
+
+  const apiKey = await findApiKey(keyId);
+  if (!apiKey) {
+    throw new NotFoundError("API key not found");
+  }
+  if (apiKey.revokedAt) {
+    throw new ConflictError("API key is already revoked");
+  }
+
+  apiKey.revokedAt = new Date();
+  apiKey.revokedBy = userId;
+  await apiKey.save();
+
+  await invalidateUserDecisions(apiKey.getPrincipal(), "api-key-revoked");
+
+  console.log(`🔑 API key ${apiKey.prefix} revoked by ${userId}`);
+
+  return createResponse(200, {
+    message: "API key revoked successfully",
+    apiKey: apiKey._id,
+    revoked_by: userId,
+  });
+}
+
+async function assertCanManageWebhooks(context, action) {
+  const allowed = await authz.check(context.userId, action, "Webhook");
+  if (!allowed) {
+    throw new ForbiddenError("Only admins can manage webhooks", undefined, {
+      check: "RBAC",
+    });
+  }
+}
+
+async function findWebhook(webhookId) {
+  const webhook = mongoose.isValidObjectId(webhookId)
+    ? await Webhook.findById(webhookId)
+    : null;
+  if (!webhook) {
+    throw new NotFoundError("Webhook not found");
+  }
+  return webhook;
+}
+
+async function findDelivery(webhook, deliveryId) {
+  const delivery = mongoose.isValidObjectId(deliveryId)
+    ? await WebhookDelivery.findOne({ _id: deliveryId, webhook: webhook._id })
+    : null;
+  if (!delivery) {
+    throw new NotFoundError("Webhook delivery not found");
+  }
+  return delivery;
+}
+
+function assertWebhookUrl(url) {
+  try {
+    assertDeliverableUrl(url);
+  } catch (error) {
+    throw new ValidationError("Validation failed", [
+      { field: "url", message: error.message },
+    ]);
+  }
+}
+
+// The signing secret is returned once, here, and can't be recovered later
+async function createWebhook(body, context) {
+  const { userId } = context;
+  await assertCanManageWebhooks(context, "create");
+
+  const data = validateBody(parseJsonBody(body), webhookSchemas.createWebhook);
+  assertWebhookUrl(data.url);
+
+  const secret = generateSecret();
+  const webhook = await Webhook.create({ ...data, secret, createdBy: userId });
+  await recordMutation({
+    userId,
+    action: "create",
+    resource: "Webhook",
+    resourceId: String(webhook._id),
+    after: { ...data, active: webhook.active },
+  });
+
+  console.log(`🪝 Webhook ${webhook._id} for ${data.url} created by ${userId}`);
+
+  const { secret: _secret, ...webhookData } = webhook.toObject();
+  return createResponse(201, {
+    message: "Webhook created. Store the secret now: it can't be shown again.",
+    secret,
+    webhook: webhookData,
+  });
+}
+
+async function listWebhooks(context) {
+  await assertCanManageWebhooks(context, "read");
+
+  const webhooks = await Webhook.find().sort({ createdAt: -1 }).limit(100);
+  return createResponse(200, { webhooks, total: webhooks.length });
+}
+
+async function getWebhook(webhookId, context) {
+  await assertCanManageWebhooks(context, "read");
+
+  return createResponse(200, { webhook: await findWebhook(webhookId) });
+}
+
+async function updateWebhook(webhookId, body, context) {
+  const { userId } = context;
+  await assertCanManageWebhooks(context, "update");
+
+  const webhook = await findWebhook(webhookId);
+  const data = validateBody(parseJsonBody(body), webhookSchemas.updateWebhook);
+  if (!Object.keys(data).length) {
+    throw new ValidationError("No updatable fields provided");
+  }
+  if (data.url) assertWebhookUrl(data.url);
+
+  const previous = webhook.toObject();
+  Object.assign(webhook, data);
+  webhook.updatedAt = new Date();
+  await webhook.save();
+  await recordMutation({
+    userId,
+    action: "update",
+    resource: "Webhook",
+    resourceId: String(webhook._id),
+    before: previous,
+    after: webhook,
+  });
+
+  return createResponse(200, {
+    message: "Webhook updated successfully",
+    webhook,
+    updated_by: userId,
+  });
+}
+
+// Deliveries are kept for their retention period; pending ones are cancelled
+async function deleteWebhook(webhookId, context) {
+  const { userId } = context;
+  await assertCanManageWebhooks(context, "delete");
+
+  const webhook = await findWebhook(webhookId);
+  await Webhook.deleteOne({ _id: webhook._id });
+  await WebhookDelivery.updateMany(
+    { webhook: webhook._id, status: "pending" },
+    { $set: { status: "cancelled", nextAttemptAt: null } },
+  );
+  await recordMutation({
+    userId,
+    action: "delete",
+    resource: "Webhook",
+    resourceId: String(webhook._id),
+    before: webhook,
+  });
+
+  return createResponse(200, {
+    message: "Webhook deleted successfully",
+    deleted_by: userId,
+  });
+}
+
+// Newest first; ?status filters, limit/offset paginate. Payloads are left
+// out; fetch a single delivery to see one.
+async function listWebhookDeliveries(webhookId, context, query) {
+  await assertCanManageWebhooks(context, "read");
+  const webhook = await findWebhook(webhookId);
+
+  const filter = { webhook: webhook._id };
+  const errors = [];
+  const statuses = WebhookDelivery.schema.path("status").enumValues;
+  if (query.status) {
+    if (!statuses.includes(query.status)) {
+      errors.push({
+        field: "status",
+        message: `Must be one of: ${statuses.join(", ")}`,
+      });
+    } else {
+      filter.status = query.status;
+    }
+  }
+
+  const { limit, offset } = parsePagination(query, errors, {
+    defaultLimit: 50,
+    maxLimit: 200,
+  });
+
+  if (errors.length) {
+    throw new ValidationError("Invalid query parameters", errors);
+  }
+
+  const [deliveries, total] = await Promise.all([
+    WebhookDelivery.find(filter, { payload: 0 })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(offset)
+      .limit(limit),
+    WebhookDelivery.countDocuments(filter),
+  ]);
+
+  return createResponse(200, {
+    deliveries,
+    total,
+    pagination: { limit, offset, hasMore: offset + deliveries.length < total },
+  });
+}
+
+async function getWebhookDelivery(webhookId, deliveryId, context) {
+  await assertCanManageWebhooks(context, "read");
+  const webhook = await findWebhook(webhookId);
+
+  return createResponse(200, {
+    delivery: await findDelivery(webhook, deliveryId),
+  });
+}
+
+// Send a past delivery's payload again, e.g. after fixing a receiver. The
+// replay is a new delivery with the same event ID, so receivers that
+// deduplicate on it can tell.
+async function replayWebhookDelivery(webhookId, deliveryId, context) {
+  await assertCanManageWebhooks(context, "update");
+  const webhook = await findWebhook(webhookId);
+  if (!webhook.active) {
+    throw new ConflictError("Webhook is inactive; activate it to replay");
+  }
+
+  const delivery = await findDelivery(webhook, deliveryId);
+  const replay = await replayDelivery(delivery);
+
+  return createResponse(202, {
+    message: "Delivery queued for replay",
+    delivery: replay,
+  });
+}
+
+// Query the audit log. Filters: userId, resource, resourceId, action, type
+// (decision | mutation), allowed (true | false), from/to (ISO dates on
+// createdAt); newest first with limit/offset pagination.
+async function listAuditLogs(context, query) {
+  await assertCanReadAuditLog(context);
+
+  const filter = {};
+  const errors = [];
+
+  for (const field of ["userId", "resource", "resourceId", "action"]) {
+    if (query[field]) filter[field] = query[field];
+  }
+  if (query.type) {
+    if (!["decision", "mutation"].includes(query.type)) {
+      errors.push({ field: "type", message: "Must be decision or mutation" });
+    } else {
+      filter.type = query.type;
+    }
+  }
+  if (query.allowed !== undefined) {
+    if (!["true", "false"].includes(query.allowed)) {
+      errors.push({ field: "allowed", message: "Must be true or false" });
+    } else {
+      filter.allowed = query.allowed === "true";
+    }
+  }
+  for (const [param, operator] of [
+    ["from", "$gte"],
+    ["to", "$lte"],
+  ]) {
+    if (!query[param]) continue;
+    const date = new Date(query[param]);
+    if (isNaN(date)) {
+      errors.push({ field: param, message: "Must be an ISO 8601 date" });
+    } else {
+      filter.createdAt = { ...filter.createdAt, [operator]: date };
+    }
+  }
+
+  const { limit, offset } = parsePagination(query, errors, {
+    defaultLimit: 50,
+    maxLimit: 200,
+  });
+
+  if (errors.length) {
+    throw new ValidationError("Invalid query parameters", errors);
+  }
+
+  // Snapshots can be large; fetch a single entry to see them
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter, { before: 0, after: 0 })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(offset)
+      .limit(limit),
+    AuditLog.countDocuments(filter),
+  ]);
+
+  return createResponse(200, {
+    entries,
+    total,
+    pagination: { limit, offset, hasMore: offset + entries.length < total },
+  });
+}
+
+async function getAuditLog(entryId, context) {
+  await assertCanReadAuditLog(context);
+
+  const entry = mongoose.isValidObjectId(entryId)
+    ? await AuditLog.findById(entryId)
+    : null;
+  if (!entry) {
+    throw new NotFoundError("Audit log entry not found");
+  }
+
+  return createResponse(200, { entry });
+}
+
+async function assertCanReadAuditLog(context) {
+  const allowed = await authz.check(context.userId, "read", "AuditLog");
+  if (!allowed) {
+    throw new ForbiddenError("Only admins can read the audit log", undefined, {
+      check: "RBAC",
+    });
+  }
 }
@@ -0,0 +1,126 @@
+// ./src/functions/scheduler.js
+
+const Article = require("../models/article");
+const { connectDB } = require("../utils/db");
+const { recordMutation } = require("../utils/audit");
+const { getTransition, isPublicState } = require("../utils/workflow");
+const { withTenant } = require("../utils/tenancy");
+const { emitEvent } = require("../webhooks");
+
+// Recorded as the actor on scheduled transitions and purges
+const SCHEDULER_USER = "system:scheduler";
+
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS ?? 30);
+
+// Runs on a schedule (see serverless.yml): publishes approved articles whose
+// publishAt has passed, retires published articles past their unpublishAt
+// and purges articles that have been in the trash for TRASH_RETENTION_DAYS.
+// Reads are already gated on these dates, so a late run never exposes
+// embargoed content; it only keeps the stored status in step.
+exports.handler = async () => {
+  await connectDB();
+
+  const now = new Date();
+  const publish = getTransition("publish");
+  const expire = getTransition(
+    process.env.SCHEDULE_EXPIRE_TRANSITION || "archive",
+  );
+
+  const results = {
+    published: await runTransition(publish, {
+      status: { $in: publish.from },
+      publishAt: { $ne: null, $lte: now },
+    }),
+    expired: expire
+      ? await runTransition(expire, {
+          status: { $in: expire.from.filter(isPublicState) },
+          unpublishAt: { $ne: null, $lte: now },
+        })
+      : [],
+    purged: await purgeExpiredTrash(
+      new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    ),
+  };
+
+  console.log("⏰ Scheduled transitions:", JSON.stringify(results));
+  return results;
+};
+
+// Finds due articles across all tenants, then handles each one in its own
+// tenant so its revision and audit entry land there too
+async function runTransition(transition, filter) {
+  const articles = await Article.find(filter).limit(100);
+  const done = [];
+
+  for (const article of articles) {
+    try {
+      await withTenant(article.tenant, async () => {
+        const previous = article.toObject();
+        await article.applyTransition(transition, {
+          userId: SCHEDULER_USER,
+          comment: `Scheduled ${transition.name}`,
+        });
+        await recordMutation({
+          source: "scheduler",
+          userId: SCHEDULER_USER,
+          action: transition.name,
+          resource: "Article",
+          resourceId: String(article._id),
+          before: previous,
+          after: article,
+        });
+        if (transition.name === "publish") {
+          await emitEvent("article.published", {
+            article,
+            published_by: SCHEDULER_USER,
+          });
+        } else {
+          await emitEvent("article.updated", {
+            article,
+            changedFields: ["status"],
+            transition: transition.name,
+            transitioned_by: SCHEDULER_USER,
+          });
+        }
+      });
+      done.push(String(article._id));
+    } catch (error) {
+      // Keep going; the article is retried on the next run
+      console.error(
+        `❌ Scheduled ${transition.name} failed for ${article._id}:`,
+        error.message,
+      );
+    }
+  }
+
+  return done;
+}
+
+// Articles trashed before `cutoff`, purged each in its own tenant
+async function purgeExpiredTrash(cutoff) {
+  const articles = await Article.find({
+    deletedAt: { $ne: null, $lte: cutoff },
+  }).limit(100);
+  const done = [];
+
+  for (const article of articles) {
+    try {
+      await withTenant(article.tenant, async () => {
+        await article.purge();
+        await recordMutation({
+          source: "scheduler",
+          userId: SCHEDULER_USER,
+          action: "purge",
+          resource: "Article",
+          resourceId: String(article._id),
+          before: article,
+        });
+      });
+      done.push(String(article._id));
+    } catch (error) {
+      console.error(`❌ Purge failed for ${article._id}:`, error.message);
+    }
+  }
+
+  return done;
+}
@@ -1,116 +1,500 @@
 // ./src/functions/user-sync.js
 
-const { Permit } = require("permitio");
+const { connectDB } = require("../utils/db");
+const { getAuthProvider } = require("../auth/providers");
+const {
+  seedDecisions,
+  invalidateUserDecisions,
+} = require("../auth/cached-provider");
+const userSchemas = require("../schemas/user");
+const { parseJsonBody, validateBody } = require("../utils/validation");
+const { parseCsv } = require("../utils/csv");
+const { createResponse } = require("../utils/response");
+const { recordMutation } = require("../utils/audit");
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  getRequestId,
+  normalizeError,
+  toErrorResponse,
+} = require("../utils/errors");
+const {
+  DEFAULT_TENANT,
+  withTenant,
+  currentTenant,
+} = require("../utils/tenancy");
 
-const permit = new Permit({
-  pdp: process.env.PERMIT_PDP_URL,
-  token: process.env.PERMIT_API_KEY,
-});
+const authz = getAuthProvider();
 
+// Rows of a bulk import synced side by side; each makes several calls to the
+// PDP and MongoDB
+const BULK_IMPORT_CONCURRENCY = 10;
+
+// POST /admin/users/{action}, behind the authorizer (see the route in
+// src/routes/index.js). The path parameter names the action; a body
+// `action`, which older clients send, must agree with it.
 exports.handler = async (event) => {
-  console.log("👥 User sync request:", JSON.stringify(event, null, 2));
+  // The headers carry the caller's credentials, so log only the action
+  // and who asked for it
+  console.log(
+    "👥 User sync request:",
+    JSON.stringify({
+      action: event.pathParameters?.action,
+      actor: event.requestContext?.authorizer?.userId,
+    }),
+  );
+
+  const requestId = getRequestId(event);
+  const headers = { "X-Request-Id": requestId };
 
   try {
-    const { action, userData } = JSON.parse(event.body);
-
-    switch (action) {
-      case "sync":
-        // Sync user to Permit.io
-        await permit.api.syncUser({
-          key: userData.userId,
-          email: userData.email,
-          first_name: userData.firstName || "",
-          last_name: userData.lastName || "",
-          attributes: {
-            subscription_tier: userData.subscriptionTier || "free",
-            created_at: userData.createdAt || new Date().toISOString(),
-            last_active: new Date().toISOString(),
-          },
+    // Used to broadcast authorization cache invalidations to other instances
+    await connectDB();
+
+    const context = event.requestContext?.authorizer || {};
+    const actor = context.userId;
+    seedDecisions(context.authz_decisions);
+
+    // Admins manage the users of their own tenant (and of any other tenant
+    // they are also an admin of)
+    const { statusCode = 200, body } = await withTenant(
+      context.tenant || DEFAULT_TENANT,
+      () => runAction(event, { actor, requestId }),
+    );
+    return createResponse(statusCode, body, headers);
+  } catch (error) {
+    console.error("❌ User sync failed:", error.message);
+    return toErrorResponse(error, requestId);
+  }
+};
+
+async function runAction(event, { actor, requestId }) {
+  // The authorizer already checked this; user management is sensitive
+  // enough to check again rather than trust the route configuration
+  if (!actor) {
+    throw new ForbiddenError("Only admins can manage users", undefined, {
+      check: "RBAC",
+    });
+  }
+  await assertCanManageTenant(actor, currentTenant());
+
+  const { action: bodyAction, userData, ...rest } = parseJsonBody(event.body);
+  const action = event.pathParameters?.action || bodyAction;
+  if (bodyAction && bodyAction !== action) {
+    throw new ValidationError("Validation failed", [
+      {
+        field: "action",
+        message: `Does not match the path action '${action}'`,
+      },
+    ]);
+  }
+  if (!Object.hasOwn(actions, action)) {
+    throw new NotFoundError(`Unknown user action '${action}'`);
+  }
+  if (Object.keys(rest).length || !userData || typeof userData !== "object") {
+    throw new ValidationError("Request body must be { userData }");
+  }
+
+  return await actions[action](userData, { actor, requestId });
+}
+
+// Each action validates its own userData and resolves to { statusCode, body }
+const actions = {
+  sync: async (userData, { actor, requestId }) => {
+    const data = validateBody(userData, userSchemas.syncUser);
+    await syncUser(data, { actor, requestId, action: "sync" });
+
+    console.log("✅ User synced:", data.userId, "by", actor);
+    return {
+      body: {
+        message: "User synced successfully",
+        userId: data.userId,
+        synced_by: actor,
+      },
+    };
+  },
+
+  "assign-role": async (userData, { actor, requestId }) => {
+    const data = validateBody(userData, userSchemas.assignRole);
+    const tenant = data.tenant || currentTenant();
+    await assertCanManageTenant(actor, tenant);
+
+    await assignRole(data.userId, data.role, tenant);
+    await recordChange(data.userId, {
+      actor,
+      requestId,
+      action: "assign-role",
+      after: { role: data.role, tenant },
+    });
+
+    console.log(
+      "✅ Role assigned:",
+      data.userId,
+      data.role,
+      tenant,
+      "by",
+      actor,
+    );
+    return {
+      body: {
+        message: "Role assigned successfully",
+        userId: data.userId,
+        role: data.role,
+        tenant,
+        assigned_by: actor,
+      },
+    };
+  },
+
+  "unassign-role": async (userData, { actor, requestId }) => {
+    const data = validateBody(userData, userSchemas.unassignRole);
+    const tenant = data.tenant || currentTenant();
+    await assertCanManageTenant(actor, tenant);
+    const user = await findUser(data.userId);
+
+    if (!rolesIn(user, tenant).includes(data.role)) {
+      throw new ValidationError("Validation failed", [
+        {
+          field: "role",
+          message: `User '${data.userId}' does not have the role '${data.role}' in tenant '${tenant}'`,
+        },
+      ]);
+    }
+
+    await authz.unassignRole({ user: data.userId, role: data.role, tenant });
+    await recordChange(data.userId, {
+      actor,
+      requestId,
+      action: "unassign-role",
+      before: { role: data.role, tenant },
+    });
+
+    console.log(
+      "✅ Role unassigned:",
+      data.userId,
+      data.role,
+      tenant,
+      "by",
+      actor,
+    );
+    return {
+      body: {
+        message: "Role unassigned successfully",
+        userId: data.userId,
+        role: data.role,
+        tenant,
+        unassigned_by: actor,
+      },
+    };
+  },
+
+  "update-attributes": async (userData, { actor, requestId }) => {
+    const data = validateBody(userData, userSchemas.updateAttributes);
+    const user = await findUser(data.userId);
+    await assertCanManageUser(actor, user);
+
+    const changes = { subscription_tier: data.subscriptionTier };
+    const updated = await authz.updateUserAttributes(data.userId, changes);
+    await recordChange(data.userId, {
+      actor,
+      requestId,
+      action: "update-attributes",
+      before: pick(user.attributes, Object.keys(changes)),
+      after: changes,
+    });
+
+    console.log("✅ User attributes updated:", data.userId, "by", actor);
+    return {
+      body: {
+        message: "User attributes updated successfully",
+        userId: data.userId,
+        attributes: updated?.attributes || changes,
+        updated_by: actor,
+      },
+    };
+  },
+
+  "delete-user": async (userData, { actor, requestId }) => {
+    const data = validateBody(userData, userSchemas.deleteUser);
+    if (data.userId === actor) {
+      throw new ValidationError("Validation failed", [
+        { field: "userId", message: "Admins cannot delete themselves" },
+      ]);
+    }
+
+    const user = await findUser(data.userId);
+    await assertCanManageUser(actor, user);
+    await authz.deleteUser(data.userId);
+    await recordChange(data.userId, {
+      actor,
+      requestId,
+      action: "delete-user",
+      before: user,
+    });
+
+    console.log("🗑️ User deleted:", data.userId, "by", actor);
+    return {
+      body: {
+        message: "User deleted successfully",
+        userId: data.userId,
+        deleted_by: actor,
+      },
+    };
+  },
+
+  "get-user": async (userData, { actor }) => {
+    const data = validateBody(userData, userSchemas.getUser);
+    const tenant = data.tenant || currentTenant();
+    await assertCanManageTenant(actor, tenant);
+    const user = await findUser(data.userId);
+
+    // Admins only see the users of the tenants they manage; anyone else is
+    // reported as missing rather than confirmed to exist
+    const roles = rolesIn(user, tenant);
+    if (!roles.length) {
+      throw new NotFoundError(
+        `User '${data.userId}' not found in tenant '${tenant}'`,
+      );
+    }
+
+    return {
+      body: {
+        userId: user.key,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        attributes: user.attributes,
+        tenant,
+        roles,
+        provider: authz.name,
+      },
+    };
+  },
+
+  // Rows are synced independently, BULK_IMPORT_CONCURRENCY at a time: a bad
+  // row is reported in the results without stopping the rest. 207 when any
+  // row failed.
+  "bulk-import": async (userData, { actor, requestId }) => {
+    const data = validateBody(userData, userSchemas.bulkImport);
+    const rows = parseImportRows(data);
+
+    // Rows for the same user would race each other, so only the first runs
+    const firstRows = new Map();
+    const results = new Array(rows.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < rows.length) {
+        const index = next++;
+        results[index] = await importRow(rows[index], firstRows, {
+          actor,
+          requestId,
         });
+      }
+    };
+    await Promise.all(
+      Array.from(
+        { length: Math.min(BULK_IMPORT_CONCURRENCY, rows.length) },
+        worker,
+      ),
+    );
+
+    const failed = results.filter(({ status }) => status === "failed").length;
+    console.log(
+      `✅ Bulk import by ${actor}: ${results.length - failed} synced, ${failed} failed`,
+    );
+    return {
+      statusCode: failed ? 207 : 200,
+      body: {
+        message: failed
+          ? "Bulk import finished with errors"
+          : "Bulk import finished",
+        total: results.length,
+        synced: results.length - failed,
+        failed,
+        results,
+        imported_by: actor,
+      },
+    };
+  },
+};
 
-        console.log("✅ User synced:", userData.userId);
-        return {
-          statusCode: 200,
-          headers: {
-            "Content-Type": "application/json",
-            "Access-Control-Allow-Origin": "*",
-          },
-          body: JSON.stringify({
-            message: "User synced successfully",
-            userId: userData.userId,
-          }),
-        };
-
-      case "assign-role":
-        // Assign role to user with error handling
-        try {
-          await permit.api.assignRole({
-            user: userData.userId,
-            role: userData.role,
-            tenant: "default",
-          });
-
-          console.log("✅ Role assigned:", userData.userId, userData.role);
-          return {
-            statusCode: 200,
-            headers: {
-              "Content-Type": "application/json",
-              "Access-Control-Allow-Origin": "*",
-            },
-            body: JSON.stringify({
-              message: "Role assigned successfully",
-              userId: userData.userId,
-              role: userData.role,
-            }),
-          };
-        } catch (roleError) {
-          console.error(
-            `❌ Failed to assign role '${userData.role}' to user '${userData.userId}':`,
-            roleError.message
-          );
-
-          // If role doesn't exist, provide helpful error message
-          if (
-            roleError.message.includes("role") ||
-            roleError.message.includes("404")
-          ) {
-            return {
-              statusCode: 400,
-              headers: {
-                "Content-Type": "application/json",
-                "Access-Control-Allow-Origin": "*",
-              },
-              body: JSON.stringify({
-                error: `Role '${userData.role}' does not exist in Permit.io. Please create it first.`,
-                userId: userData.userId,
-                role: userData.role,
-              }),
-            };
-          }
-
-          // Re-throw other errors
-          throw roleError;
-        }
-
-      default:
-        return {
-          statusCode: 400,
-          headers: {
-            "Content-Type": "application/json",
-            "Access-Control-Allow-Origin": "*",
-          },
-          body: JSON.stringify({ error: "Invalid action" }),
-        };
+async function importRow({ row, record }, firstRows, { actor, requestId }) {
+  try {
+    const user = validateBody(record, userSchemas.syncUser);
+    if (firstRows.has(user.userId)) {
+      throw new ValidationError("Validation failed", [
+        {
+          field: "userId",
+          message: `Already imported in row ${firstRows.get(user.userId)}`,
+        },
+      ]);
     }
+    firstRows.set(user.userId, row);
+
+    await syncUser(user, { actor, requestId, action: "bulk-import" });
+    return { row, userId: user.userId, status: "synced" };
   } catch (error) {
-    console.error("❌ User sync failed:", error);
+    const appError = normalizeError(error);
+    if (appError.statusCode >= 500) {
+      console.error(`❌ Bulk import row ${row} failed:`, error);
+    }
     return {
-      statusCode: 500,
-      headers: {
-        "Content-Type": "application/json",
-        "Access-Control-Allow-Origin": "*",
-      },
-      body: JSON.stringify({ error: error.message }),
+      row,
+      userId: record?.userId,
+      status: "failed",
+      error: appError.message,
+      ...(appError.details !== undefined && { details: appError.details }),
     };
   }
-};
+}
+
+// Sync a validated syncUser to the authorization provider, assigning its
+// role (in its tenant) when one is given
+async function syncUser(data, { actor, requestId, action }) {
+  const tenant = data.tenant || currentTenant();
+  if (data.role) await assertCanManageTenant(actor, tenant);
+  await assertCanManageUser(actor, await authz.getUser(data.userId));
+
+  await authz.syncUser({
+    key: data.userId,
+    email: data.email,
+    first_name: data.firstName || "",
+    last_name: data.lastName || "",
+    attributes: {
+      subscription_tier: data.subscriptionTier || "free",
+      created_at: (data.createdAt || new Date()).toISOString(),
+      last_active: new Date().toISOString(),
+    },
+  });
+  if (data.role) {
+    await assignRole(data.userId, data.role, tenant);
+  }
+
+  await recordChange(data.userId, { actor, requestId, action, after: data });
+}
+
+// Roles and attributes feed the policies, so a user's cached decisions are
+// stale after any change; every change is also audited
+async function recordChange(
+  userId,
+  { actor, requestId, action, before, after },
+) {
+  await invalidateUserDecisions(userId, action);
+  await recordMutation({
+    source: "user-sync",
+    requestId,
+    userId: actor,
+    action,
+    resource: "User",
+    resourceId: userId,
+    before,
+    after,
+  });
+}
+
+async function findUser(userId) {
+  const user = await authz.getUser(userId);
+  if (!user) {
+    throw new NotFoundError(`User '${userId}' not found in ${authz.name}`);
+  }
+  return user;
+}
+
+// Role assignments are per tenant: the actor must be an admin of the tenant
+async function assertCanManageTenant(actor, tenant) {
+  const allowed = await authz.check(actor, "manage", { type: "User", tenant });
+  if (!allowed) {
+    throw new ForbiddenError(
+      `Only admins of tenant '${tenant}' can manage its users`,
+      undefined,
+      { check: "RBAC" },
+    );
+  }
+}
+
+// A user's profile and attributes are shared by every tenant they have roles
+// in, so changing them takes admin rights in all of those tenants
+async function assertCanManageUser(actor, user) {
+  const tenants = new Set(
+    (user?.roles || []).map((r) => r.tenant || DEFAULT_TENANT),
+  );
+  for (const tenant of tenants) {
+    await assertCanManageTenant(actor, tenant);
+  }
+}
+
+async function assignRole(userId, role, tenant) {
+  try {
+    await authz.assignRole({ user: userId, role, tenant });
+  } catch (roleError) {
+    console.error(
+      `❌ Failed to assign role '${role}' to user '${userId}':`,
+      roleError.message,
+    );
+
+    // The role passed validation, so the provider is out of step with
+    // AUTHZ_ROLES
+    if (
+      roleError.message.includes("role") ||
+      roleError.message.includes("404")
+    ) {
+      throw new ValidationError("Validation failed", [
+        {
+          field: "role",
+          message: `Role '${role}' does not exist in the ${authz.name} authorization provider. Please create it first.`,
+        },
+      ]);
+    }
+
+    // Re-throw other errors
+    throw roleError;
+  }
+}
+
+// Bulk import rows as { row, record }, numbered from 1 for JSON and by CSV
+// line so errors point at the right place in the uploaded file
+function parseImportRows({ users, csv }) {
+  if ((users === undefined) === (csv === undefined)) {
+    throw new ValidationError("Validation failed", [
+      { field: "users", message: "Provide either users or csv" },
+    ]);
+  }
+
+  if (users) {
+    return users.map((record, index) => ({ row: index + 1, record }));
+  }
+
+  let rows;
+  try {
+    rows = parseCsv(csv);
+  } catch (error) {
+    throw new ValidationError("Validation failed", [
+      { field: "csv", message: error.message },
+    ]);
+  }
+  if (!rows.length) {
+    throw new ValidationError("Validation failed", [
+      { field: "csv", message: "Must have a header row and at least one user" },
+    ]);
+  }
+  if (rows.length > userSchemas.bulkImport.users.maxItems) {
+    throw new ValidationError("Validation failed", [
+      {
+        field: "csv",
+        message: `Must have at most ${userSchemas.bulkImport.users.maxItems} users`,
+      },
+    ]);
+  }
+  return rows.map(({ line, record }) => ({ row: line, record }));
+}
+
+const rolesIn = (user, tenant) =>
+  (user.roles || [])
+    .filter((r) => (r.tenant || DEFAULT_TENANT) === tenant)
+    .map((r) => r.role);
+
+const pick = (object = {}, keys) =>
+  Object.fromEntries(
+    keys.filter((key) => key in object).map((k) => [k, object[k]]),
+  );
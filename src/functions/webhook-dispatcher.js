@@ -0,0 +1,15 @@
+// ./src/functions/webhook-dispatcher.js
+
+const { connectDB } = require("../utils/db");
+const { dispatchDueDeliveries } = require("../webhooks");
+
+// Runs on a schedule (see serverless.yml): sends webhook deliveries whose
+// next attempt is due, both new events and retries
+exports.handler = async () => {
+  await connectDB();
+
+  const results = await dispatchDueDeliveries();
+
+  console.log("🪝 Webhook deliveries:", JSON.stringify(results));
+  return results;
+};
@@ -0,0 +1,36 @@
+// ./src/models/api-key.js
+const mongoose = require("mongoose");
+const { tenantScoped } = require("../utils/tenancy");
+
+// API key for machine-to-machine clients. Only a hash of the key is stored;
+// the prefix identifies the key for lookups without revealing it.
+const apiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true, maxlength: 100 },
+  prefix: { type: String, required: true, unique: true },
+  hash: { type: String, required: true, select: false }, // SHA-256 of the key
+  scopes: [{ type: String }], // "Resource:action", wildcards allowed
+  role: { type: String, default: "viewer" }, // Role of the key's principal
+  rateTier: { type: String, default: "free" }, // Tier for rate limits only
+  subscriptionTier: { type: String, default: "free" }, // Premium content access
+  createdBy: { type: String, required: true }, // User ID
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: Date,
+  revokedAt: Date,
+  revokedBy: String,
+  lastUsedAt: Date,
+});
+
+apiKeySchema.index({ createdBy: 1, createdAt: -1 });
+
+// Principal the key acts as in authorization checks and rate limiting
+apiKeySchema.methods.getPrincipal = function () {
+  return `apikey-${this._id}`;
+};
+
+apiKeySchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > now);
+};
+
+apiKeySchema.plugin(tenantScoped);
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
@@ -1,19 +1,262 @@
 // ./src/models/article.js
 const mongoose = require("mongoose");
+const { tenantScoped } = require("../utils/tenancy");
+const Revision = require("./revision");
+const Comment = require("./comment");
+const { workflow, isPublicState } = require("../utils/workflow");
+const { slugify } = require("../utils/slug");
+const {
+  CONTENT_FORMATS,
+  sanitizeSource,
+  deriveContentFields,
+} = require("../utils/content");
+
+const MAX_SLUG_LENGTH = 80;
 
 const articleSchema = new mongoose.Schema({
   title: { type: String, required: true },
+  // URL name, generated from the title unless set explicitly. Slugs the
+  // article had before keep resolving to it.
+  slug: { type: String, lowercase: true, trim: true },
+  slugHistory: [String],
   content: { type: String, required: true },
+  // How `content` is written. HTML is sanitized when saved; markdown and
+  // plain text are returned as written, and rendered to sanitized HTML with
+  // ?format=html (see src/utils/content.js).
+  contentFormat: { type: String, enum: CONTENT_FORMATS, default: "markdown" },
+  // Derived from the content on save
+  excerpt: String,
+  wordCount: Number,
+  readingTimeMinutes: Number,
+  outline: [
+    new mongoose.Schema(
+      { level: Number, text: String, id: String }, // id: the heading's anchor
+      { _id: false },
+    ),
+  ],
   author: { type: String, required: true }, // User ID
-  status: { type: String, enum: ["draft", "published"], default: "draft" },
+  status: {
+    type: String,
+    enum: workflow.states,
+    default: workflow.initial,
+  },
+  // Editorial workflow transitions, oldest first
+  workflowHistory: [
+    {
+      transition: String,
+      from: String,
+      to: String,
+      by: String, // User ID
+      comment: String,
+      at: { type: Date, default: Date.now },
+    },
+  ],
+  // Access tier used by the premium-content ABAC policy
   category: {
     type: String,
     enum: ["free", "premium"],
     default: "free",
   },
+  // Editorial taxonomy, independent of the access tier above
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
   tags: [String],
+  // Embargo and expiry: the article is only public between these times
+  publishAt: { type: Date, default: null },
+  unpublishAt: { type: Date, default: null },
+  media: [{ type: mongoose.Schema.Types.ObjectId, ref: "Media" }],
+  // Bumped on every change; clients send it back (in the ETag) with If-Match
+  version: { type: Number, default: 1 },
+  // Trash: deleting sets these and restoring clears them. Trashed articles
+  // are purged for good after TRASH_RETENTION_DAYS (see the scheduler).
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: String, default: null }, // User ID
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
 
+// Full-text search over title and content, with title matches ranked higher
+articleSchema.index(
+  { title: "text", content: "text" },
+  { name: "article_text_search", weights: { title: 5, content: 1 } },
+);
+articleSchema.index({ status: 1, createdAt: -1 });
+articleSchema.index({ author: 1, createdAt: -1 });
+articleSchema.index({ tags: 1 });
+
+articleSchema.index({ status: 1, publishAt: 1 });
+articleSchema.index({ status: 1, unpublishAt: 1 });
+articleSchema.index({ deletedAt: 1 });
+// Articles from before slugs existed get one when they are next saved
+articleSchema.index(
+  { tenant: 1, slug: 1 },
+  { unique: true, partialFilterExpression: { slug: { $type: "string" } } },
+);
+articleSchema.index({ tenant: 1, slugHistory: 1 });
+
+// Trashed articles are left out of every query that doesn't filter on
+// deletedAt itself, so they 404 and never show up in listings. Queries that
+// must see the trash as well say so with setOptions({ includeTrashed: true }).
+articleSchema.pre(
+  ["countDocuments", "distinct", "find", "findOne", "findOneAndUpdate"],
+  function () {
+    if (
+      this.getFilter().deletedAt === undefined &&
+      !this.getOptions().includeTrashed
+    ) {
+      this.where({ deletedAt: null });
+    }
+  },
+);
+
+// `base`, or base-2, base-3, ... if another article (even a trashed one)
+// has it as its slug or had it before
+async function uniqueSlug(article, base) {
+  const pattern = new RegExp(`^${base}(-\\d+)?$`);
+  const others = await article.constructor
+    .find(
+      {
+        _id: { $ne: article._id },
+        $or: [{ slug: pattern }, { slugHistory: pattern }],
+      },
+      { slug: 1, slugHistory: 1 },
+    )
+    .setOptions({ includeTrashed: true });
+  const taken = new Set(
+    others.flatMap((other) => [other.slug, ...other.slugHistory]),
+  );
+
+  let candidate = base;
+  for (let n = 2; taken.has(candidate); n++) candidate = `${base}-${n}`;
+  return candidate;
+}
+
+articleSchema.post("init", function () {
+  this.$locals.savedSlug = this.slug;
+});
+
+// New articles, renamed ones and ones from before slugs existed get a slug
+// from their title, unless one is set explicitly. An explicit slug that's
+// taken fails the save on the unique index instead of being renamed.
+articleSchema.pre("validate", async function () {
+  if (!this.isModified("slug") && (!this.slug || this.isModified("title"))) {
+    const base =
+      slugify(this.title).slice(0, MAX_SLUG_LENGTH).replace(/-+$/, "") ||
+      "article";
+    this.slug = await uniqueSlug(this, base);
+  }
+
+  // Keep old slugs resolving here, and drop one this article takes back
+  const previous = this.$locals.savedSlug;
+  if (previous && previous !== this.slug) {
+    this.slugHistory.addToSet(previous);
+  }
+  if (this.slugHistory.includes(this.slug)) {
+    this.slugHistory.pull(this.slug);
+  }
+});
+
+articleSchema.post("save", function () {
+  this.$locals.savedSlug = this.slug;
+});
+
+// The article at `slug`: the one that has it now, or else the one that had
+// it most recently. `renamed` tells callers to point clients at the new slug.
+articleSchema.statics.findBySlug = async function (slug) {
+  const wanted = String(slug).toLowerCase();
+  const current = await this.findOne({ slug: wanted });
+  if (current) return { article: current, renamed: false };
+
+  const previous = await this.findOne({ slugHistory: wanted }).sort({
+    updatedAt: -1,
+  });
+  return { article: previous, renamed: Boolean(previous) };
+};
+
+// Articles from before these fields existed get them when next saved
+articleSchema.pre("validate", function () {
+  if (
+    this.isModified("content") ||
+    this.isModified("contentFormat") ||
+    this.wordCount == null
+  ) {
+    this.content = sanitizeSource(this.content, this.contentFormat);
+    Object.assign(this, deriveContentFields(this.content, this.contentFormat));
+  }
+});
+
+// Status as readers experience it: published articles outside their
+// publishAt/unpublishAt window report "scheduled" or "expired" instead
+articleSchema.methods.getEffectiveStatus = function (now = new Date()) {
+  if (!isPublicState(this.status)) return this.status;
+  if (this.publishAt && this.publishAt > now) return "scheduled";
+  if (this.unpublishAt && this.unpublishAt <= now) return "expired";
+  return this.status;
+};
+
+articleSchema.methods.isPublic = function (now = new Date()) {
+  return isPublicState(this.getEffectiveStatus(now));
+};
+
+// Apply a workflow transition and record it in the history and revisions.
+// Permission and from-state checks are the caller's responsibility.
+articleSchema.methods.applyTransition = async function (
+  transition,
+  { userId, comment },
+) {
+  const before = Revision.pickTracked(this);
+  this.workflowHistory.push({
+    transition: transition.name,
+    from: this.status,
+    to: transition.to,
+    by: userId,
+    comment,
+  });
+  this.status = transition.to;
+  this.updatedAt = new Date();
+  await this.save();
+  await Revision.record(this, {
+    action: transition.name === "publish" ? "publish" : "transition",
+    userId,
+    before,
+  });
+  return this;
+};
+
+// Matches the article only while it is still at its loaded version.
+// Articles from before versioning have none stored and count as version 1.
+articleSchema.methods.versionFilter = function () {
+  return this.version === 1
+    ? { version: { $in: [1, null] } }
+    : { version: this.version };
+};
+
+// Optimistic concurrency: each save bumps the version and only applies if
+// no one else saved in between; otherwise it fails with a
+// DocumentNotFoundError (or a VersionError when arrays changed too)
+articleSchema.pre("save", function () {
+  if (this.isNew || !this.isModified()) return;
+  this.$where = { ...this.$where, ...this.versionFilter() };
+  this.version += 1;
+});
+
+// Delete the article for good, with its revisions and comments
+articleSchema.methods.purge = async function () {
+  await Revision.deleteMany({ article: this._id });
+  await Comment.deleteMany({ article: this._id });
+  await this.constructor.deleteOne({ _id: this._id });
+};
+
+// MongoDB condition matching articles that are public right now
+articleSchema.statics.publicFilter = function (now = new Date()) {
+  return {
+    status: { $in: workflow.public },
+    $and: [
+      { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+      { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] },
+    ],
+  };
+};
+
+articleSchema.plugin(tenantScoped);
+
 module.exports = mongoose.model("Article", articleSchema);
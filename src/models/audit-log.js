@@ -0,0 +1,41 @@
+// ./src/models/audit-log.js
+const mongoose = require("mongoose");
+const { tenantScoped } = require("../utils/tenancy");
+
+// One entry per authorization decision or content change (see
+// src/utils/audit.js)
+const auditLogSchema = new mongoose.Schema({
+  type: { type: String, enum: ["decision", "mutation"], required: true },
+  source: { type: String, required: true }, // authorizer, handler, scheduler
+  requestId: String,
+  userId: String, // Caller (user ID or API key principal)
+  role: String,
+  authType: String, // jwt or api_key
+  action: { type: String, required: true }, // Permit action or change made
+  resource: { type: String, required: true }, // Resource type
+  resourceId: String,
+
+  // Decisions
+  allowed: Boolean,
+  failedCheck: { type: String, enum: ["RBAC", "ABAC", "ReBAC", "SCOPE"] },
+  reason: String,
+
+  // Mutations: the resource before and after the change
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+});
+
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ resource: 1, resourceId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Retention: MongoDB's TTL monitor removes entries once they expire
+auditLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+auditLogSchema.plugin(tenantScoped);
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,15 @@
+// ./src/models/authz-invalidation.js
+const mongoose = require("mongoose");
+
+// Tells every Lambda instance to drop cached authorization decisions for a
+// user whose roles or attributes changed (see src/auth/cached-provider.js)
+const authzInvalidationSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  reason: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Instances only look back a few seconds, so old records can expire
+authzInvalidationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 86400 });
+
+module.exports = mongoose.model("AuthzInvalidation", authzInvalidationSchema);
@@ -0,0 +1,23 @@
+// ./src/models/authz-user.js
+const mongoose = require("mongoose");
+const { DEFAULT_TENANT } = require("../utils/tenancy");
+
+// User directory for the local authorization provider: the users, attributes
+// and role assignments that Permit.io keeps when it is the provider
+const authzUserSchema = new mongoose.Schema({
+  _id: { type: String }, // user key
+  email: String,
+  first_name: String,
+  last_name: String,
+  attributes: { type: mongoose.Schema.Types.Mixed, default: {} },
+  roles: [
+    {
+      _id: false,
+      role: { type: String, required: true },
+      tenant: { type: String, default: DEFAULT_TENANT },
+    },
+  ],
+  updatedAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model("AuthzUser", authzUserSchema);
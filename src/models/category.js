@@ -0,0 +1,42 @@
+// ./src/models/category.js
+const mongoose = require("mongoose");
+const { tenantScoped } = require("../utils/tenancy");
+const { slugify } = require("../utils/slug");
+
+const categorySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  slug: { type: String, required: true, lowercase: true },
+  description: { type: String, default: "" },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
+    default: null,
+  },
+  // Ancestor IDs from the root down to the direct parent, so a whole
+  // subtree can be found with a single query
+  ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+  order: { type: Number, default: 0 },
+  createdBy: { type: String, required: true }, // User ID
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Slugs are unique per tenant. Deployments from before tenants existed need
+// the old global slug_1 index dropped.
+categorySchema.index({ tenant: 1, slug: 1 }, { unique: true });
+categorySchema.index({ parent: 1, order: 1 });
+categorySchema.index({ ancestors: 1 });
+
+// Derive the slug from the name when one isn't supplied
+categorySchema.pre("validate", function (next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+categorySchema.statics.slugify = slugify;
+
+categorySchema.plugin(tenantScoped);
+
+module.exports = mongoose.model("Category", categorySchema);
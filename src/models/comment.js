@@ -0,0 +1,46 @@
+// ./src/models/comment.js
+const mongoose = require("mongoose");
+const { tenantScoped } = require("../utils/tenancy");
+
+const MAX_DEPTH = 5;
+
+const commentSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Article",
+    required: true,
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Comment",
+    default: null,
+  },
+  depth: { type: Number, default: 0, max: MAX_DEPTH },
+  author: { type: String, required: true }, // User ID
+  content: { type: String, required: true, maxlength: 5000 },
+  status: {
+    type: String,
+    enum: ["pending", "approved", "rejected", "spam"],
+    default: "pending",
+  },
+  moderation: {
+    moderatedBy: String, // User ID
+    moderatedAt: Date,
+    note: String,
+  },
+  // Comments with replies are blanked rather than removed to keep threads intact
+  deleted: { type: Boolean, default: false },
+  editedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+commentSchema.index({ article: 1, createdAt: 1 });
+commentSchema.index({ status: 1, createdAt: 1 });
+commentSchema.index({ author: 1, createdAt: -1 });
+
+commentSchema.statics.MAX_DEPTH = MAX_DEPTH;
+
+commentSchema.plugin(tenantScoped);
+
+module.exports = mongoose.model("Comment", commentSchema);
@@ -0,0 +1,29 @@
+// ./src/models/media.js
+const mongoose = require("mongoose");
+const { tenantScoped } = require("../utils/tenancy");
+
+const mediaSchema = new mongoose.Schema({
+  filename: { type: String, required: true }, // Original upload name
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true }, // Bytes
+  width: Number,
+  height: Number,
+  altText: { type: String, default: "", maxlength: 1000 },
+  caption: { type: String, default: "" },
+  owner: { type: String, required: true }, // User ID
+  storage: {
+    adapter: { type: String, required: true },
+    key: { type: String, required: true },
+  },
+  url: { type: String, required: true },
+  checksum: String, // SHA-256 of the stored bytes
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+mediaSchema.index({ owner: 1, createdAt: -1 });
+mediaSchema.index({ mimeType: 1 });
+
+mediaSchema.plugin(tenantScoped);
+
+module.exports = mongoose.model("Media", mediaSchema);
@@ -0,0 +1,13 @@
+// ./src/models/rate-limit-counter.js
+const mongoose = require("mongoose");
+
+const rateLimitCounterSchema = new mongoose.Schema({
+  _id: { type: String }, // "<identifier>:<window index>"
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+});
+
+// MongoDB's TTL monitor removes counters once their window has passed
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimitCounter", rateLimitCounterSchema);
@@ -0,0 +1,105 @@
+// ./src/models/revision.js
+const mongoose = require("mongoose");
+const { tenantScoped } = require("../utils/tenancy");
+
+// Article fields captured in each revision snapshot
+const TRACKED_FIELDS = [
+  "title",
+  "content",
+  "contentFormat",
+  "status",
+  "category",
+  "categories",
+  "tags",
+  "media",
+];
+
+const revisionSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Article",
+    required: true,
+  },
+  number: { type: Number, required: true }, // 1-based, per article
+  action: {
+    type: String,
+    enum: ["baseline", "create", "update", "publish", "transition", "restore"],
+    required: true,
+  },
+  changedFields: [String],
+  previous: { type: mongoose.Schema.Types.Mixed, default: {} }, // Values before
+  snapshot: { type: mongoose.Schema.Types.Mixed, required: true }, // State after
+  restoredFrom: Number, // Revision number, for "restore" revisions
+  author: { type: String, required: true }, // User ID who made the change
+  createdAt: { type: Date, default: Date.now },
+});
+
+revisionSchema.index({ article: 1, number: -1 }, { unique: true });
+
+function pickTracked(source) {
+  const plain =
+    typeof source?.toObject === "function" ? source.toObject() : source || {};
+  return Object.fromEntries(
+    TRACKED_FIELDS.filter((field) => plain[field] !== undefined).map(
+      (field) => [field, plain[field]],
+    ),
+  );
+}
+
+function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Record a revision for an article that has just been saved. `before` is the
+// tracked state prior to the change (omit it for newly created articles).
+// Articles that predate revision tracking get a baseline revision first so
+// their original state can still be diffed and restored.
+revisionSchema.statics.record = async function (
+  article,
+  { action, userId, before, restoredFrom },
+) {
+  const snapshot = pickTracked(article);
+  const latest = await this.findOne({ article: article._id })
+    .sort({ number: -1 })
+    .select("number");
+  let number = latest ? latest.number : 0;
+
+  if (!latest && before) {
+    number += 1;
+    await this.create({
+      article: article._id,
+      number,
+      action: "baseline",
+      snapshot: before,
+      author: article.author,
+      createdAt: article.updatedAt || article.createdAt,
+    });
+  }
+
+  const previous = {};
+  const changedFields = [];
+  for (const field of TRACKED_FIELDS) {
+    if (before && !isSameValue(before[field], snapshot[field])) {
+      changedFields.push(field);
+      previous[field] = before[field];
+    }
+  }
+
+  return await this.create({
+    article: article._id,
+    number: number + 1,
+    action,
+    changedFields: before ? changedFields : Object.keys(snapshot),
+    previous,
+    snapshot,
+    restoredFrom,
+    author: userId,
+  });
+};
+
+revisionSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+revisionSchema.statics.pickTracked = pickTracked;
+
+revisionSchema.plugin(tenantScoped);
+
+module.exports = mongoose.model("Revision", revisionSchema);
@@ -0,0 +1,45 @@
+// ./src/models/webhook-delivery.js
+const mongoose = require("mongoose");
+const { tenantScoped } = require("../utils/tenancy");
+
+// One event sent (or being sent) to one webhook, with every attempt made.
+// Pending deliveries are retried with backoff by the webhook dispatcher.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Webhook",
+    required: true,
+  },
+  eventId: { type: String, required: true }, // Shared by replays
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: {
+    type: String,
+    enum: ["pending", "succeeded", "failed", "cancelled"],
+    default: "pending",
+  },
+  attempts: [
+    {
+      _id: false,
+      at: { type: Date, default: Date.now },
+      statusCode: Number, // Receiver's response, if any
+      error: String,
+      durationMs: Number,
+    },
+  ],
+  nextAttemptAt: { type: Date, default: Date.now },
+  deliveredAt: Date,
+  replayOf: { type: mongoose.Schema.Types.ObjectId, ref: "WebhookDelivery" },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Retention: MongoDB's TTL monitor removes deliveries once they expire
+webhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+webhookDeliverySchema.plugin(tenantScoped);
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -0,0 +1,22 @@
+// ./src/models/webhook.js
+const mongoose = require("mongoose");
+const { tenantScoped } = require("../utils/tenancy");
+
+// A subscription: content events of the given types are POSTed to `url`,
+// signed with `secret` (see src/webhooks/index.js)
+const webhookSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  events: [{ type: String, required: true }], // e.g. "article.published"
+  description: { type: String, default: "", maxlength: 500 },
+  secret: { type: String, required: true, select: false }, // HMAC key
+  active: { type: Boolean, default: true },
+  createdBy: { type: String, required: true }, // User ID
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+
+webhookSchema.plugin(tenantScoped);
+
+module.exports = mongoose.model("Webhook", webhookSchema);
@@ -0,0 +1,133 @@
+// ./src/rate-limit/index.js
+
+const MemoryRateLimitStore = require("./memory");
+
+// Every rate limit store implements the same interface:
+//   increment(key, ttlMs) -> Promise<number>  count after incrementing; the
+//                                             counter expires after ttlMs
+//   get(key)              -> Promise<number>  current count (0 if missing)
+//   reset()               -> Promise<void>    drop every counter (tests)
+const stores = {
+  memory: () => new MemoryRateLimitStore(),
+  mongo: () => {
+    const MongoRateLimitStore = require("./mongo");
+    return new MongoRateLimitStore();
+  },
+  redis: () => {
+    const RedisRateLimitStore = require("./redis");
+    return new RedisRateLimitStore({ url: process.env.REDIS_URL });
+  },
+};
+
+// Requests allowed per window, by subscription tier
+const TIER_LIMITS = {
+  free: 100,
+  premium: 1000,
+  enterprise: Infinity,
+};
+
+const DEFAULT_WINDOW_MS = 60 * 60 * 1000; // 1 hour window
+
+// Reuse store instances across Lambda invocations
+const instances = new Map();
+
+function getStore(name = process.env.RATE_LIMIT_STORE || "mongo") {
+  if (!stores[name]) {
+    throw new Error(`Unknown rate limit store: ${name}`);
+  }
+  if (!instances.has(name)) {
+    instances.set(name, stores[name]());
+  }
+  return instances.get(name);
+}
+
+// Sliding window counter: the previous fixed window's count is weighted by
+// how much of it still overlaps the sliding window, which smooths out the
+// burst a plain fixed window allows at each boundary while needing only two
+// counters per client.
+async function consume(identifier, limit, options = {}) {
+  const {
+    store = getStore(),
+    windowMs = DEFAULT_WINDOW_MS,
+    now = Date.now(),
+  } = options;
+
+  if (limit === Infinity) {
+    return { allowed: true, limit, remaining: Infinity, resetAt: null };
+  }
+
+  const window = Math.floor(now / windowMs);
+  const elapsed = now - window * windowMs;
+  const ttlMs = windowMs * 2; // the counter is still read as "previous"
+
+  const [previous, current] = await Promise.all([
+    store.get(`${identifier}:${window - 1}`),
+    store.increment(`${identifier}:${window}`, ttlMs),
+  ]);
+
+  const overlap = (windowMs - elapsed) / windowMs;
+  const used = previous * overlap + current;
+  const allowed = used <= limit;
+  const resetAt = Math.ceil(((window + 1) * windowMs) / 1000);
+
+  const result = {
+    allowed,
+    limit,
+    remaining: Math.max(0, Math.floor(limit - used)),
+    resetAt,
+  };
+
+  if (!allowed) {
+    const waitMs = msUntilAllowed({
+      previous,
+      current,
+      limit,
+      windowMs,
+      elapsed,
+    });
+    result.retryAfter = Math.max(1, Math.ceil(waitMs / 1000));
+  }
+
+  return result;
+}
+
+// How long until a retry would be allowed if the client sends nothing else
+// meanwhile, by the same weighted estimate consume() uses. The retry is
+// counted too, so the estimate has to fall to limit - 1 before it.
+function msUntilAllowed({ previous, current, limit, windowMs, elapsed }) {
+  const room = limit - 1;
+
+  // Later in this window, once enough of the previous one has slid out
+  if (current <= room && previous > 0) {
+    return windowMs * (1 - (room - current) / previous) - elapsed;
+  }
+
+  // Otherwise in the next window, where this window's count is the one
+  // sliding out
+  const overlapNeeded = Math.max(0, room / current);
+  return windowMs - elapsed + windowMs * (1 - overlapNeeded);
+}
+
+function getTierLimit(tier) {
+  return TIER_LIMITS[tier] ?? TIER_LIMITS.free;
+}
+
+// Standard rate limit headers for a consume() result
+function rateLimitHeaders(result) {
+  if (!result || result.limit === Infinity) return {};
+
+  return {
+    "X-RateLimit-Limit": String(result.limit),
+    "X-RateLimit-Remaining": String(result.remaining),
+    "X-RateLimit-Reset": String(result.resetAt),
+    ...(result.retryAfter && { "Retry-After": String(result.retryAfter) }),
+  };
+}
+
+module.exports = {
+  consume,
+  getStore,
+  getTierLimit,
+  rateLimitHeaders,
+  TIER_LIMITS,
+};
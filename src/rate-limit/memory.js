@@ -0,0 +1,43 @@
+// ./src/rate-limit/memory.js
+
+// Keeps counters in process memory. Counts reset on cold starts and aren't
+// shared between Lambda instances, so use it for tests and local runs only.
+class MemoryRateLimitStore {
+  constructor() {
+    this.name = "memory";
+    this.counters = new Map();
+  }
+
+  async increment(key, ttlMs) {
+    const now = Date.now();
+    const entry = this.counters.get(key);
+
+    if (!entry || entry.expiresAt <= now) {
+      this.counters.set(key, { count: 1, expiresAt: now + ttlMs });
+      this.sweep(now);
+      return 1;
+    }
+
+    entry.count += 1;
+    return entry.count;
+  }
+
+  async get(key) {
+    const entry = this.counters.get(key);
+    return entry && entry.expiresAt > Date.now() ? entry.count : 0;
+  }
+
+  async reset() {
+    this.counters.clear();
+  }
+
+  // Drop expired counters occasionally so the map can't grow without bound
+  sweep(now) {
+    if (Math.random() >= 0.01) return;
+    for (const [key, entry] of this.counters) {
+      if (entry.expiresAt <= now) this.counters.delete(key);
+    }
+  }
+}
+
+module.exports = MemoryRateLimitStore;
@@ -0,0 +1,34 @@
+// ./src/rate-limit/mongo.js
+
+const RateLimitCounter = require("../models/rate-limit-counter");
+
+// Shares counters between Lambda instances through MongoDB. Increments are
+// atomic upserts, so concurrent requests never lose a count.
+class MongoRateLimitStore {
+  constructor() {
+    this.name = "mongo";
+  }
+
+  async increment(key, ttlMs) {
+    const counter = await RateLimitCounter.findOneAndUpdate(
+      { _id: key },
+      {
+        $inc: { count: 1 },
+        $setOnInsert: { expiresAt: new Date(Date.now() + ttlMs) },
+      },
+      { upsert: true, new: true, lean: true },
+    );
+    return counter.count;
+  }
+
+  async get(key) {
+    const counter = await RateLimitCounter.findById(key).lean();
+    return counter ? counter.count : 0;
+  }
+
+  async reset() {
+    await RateLimitCounter.deleteMany({});
+  }
+}
+
+module.exports = MongoRateLimitStore;
@@ -0,0 +1,45 @@
+// ./src/rate-limit/redis.js
+
+// Works with any client exposing Redis commands as promise-returning methods
+// (ioredis, node-redis v4 via its legacy-compatible names, Upstash, ...).
+// Pass one in, or set REDIS_URL to have an ioredis client created.
+class RedisRateLimitStore {
+  constructor({ client, url, prefix = "ratelimit:" } = {}) {
+    this.name = "redis";
+    this.prefix = prefix;
+
+    if (client) {
+      this.client = client;
+    } else {
+      if (!url) {
+        throw new Error("REDIS_URL is required for the redis rate limit store");
+      }
+      const Redis = require("ioredis");
+      this.client = new Redis(url, {
+        lazyConnect: false,
+        maxRetriesPerRequest: 2,
+      });
+    }
+  }
+
+  async increment(key, ttlMs) {
+    const redisKey = this.prefix + key;
+    const count = Number(await this.client.incr(redisKey));
+    // Only the first increment sets the expiry, mirroring a fixed window
+    if (count === 1) {
+      await this.client.pexpire(redisKey, ttlMs);
+    }
+    return count;
+  }
+
+  async get(key) {
+    return Number((await this.client.get(this.prefix + key)) || 0);
+  }
+
+  async reset() {
+    const keys = await this.client.keys(`${this.prefix}*`);
+    if (keys.length) await this.client.del(...keys);
+  }
+}
+
+module.exports = RedisRateLimitStore;
@@ -0,0 +1,187 @@
+// ./src/routes/index.js
+
+const { workflow } = require("../utils/workflow");
+
+// Every route of the content API, shared by the authorizer (which Permit
+// resource and action a request needs) and the content handler (which route
+// handler serves it). Paths use :name for parameters.
+//
+//   resource   Permit resource type
+//   action     Permit action
+//   handler    route handler name (see routeHandlers in handler.js);
+//              "userSync" routes are served by their own function
+//   idParam    parameter holding the resource's ID; defaults to "id", null
+//              when the route acts on the collection
+//   lookup     what idParam holds: "id" (the default) or "slug"
+//
+// Literal segments win over parameters, so /articles/:id/revisions/compare
+// never matches /articles/:id/revisions/:number.
+
+// POST /articles/:id/{route} for every workflow transition, each with its own
+// Permit action. Publishing has extra checks of its own.
+const transitionRoutes = Object.values(workflow.transitions).map(
+  (transition) => ({
+    method: "POST",
+    path: `/articles/:id/${transition.route}`,
+    resource: "Article",
+    action: transition.action,
+    handler:
+      transition.name === "publish" ? "publishArticle" : "transitionArticle",
+    transition: transition.name,
+  }),
+);
+
+// prettier-ignore
+const routes = [
+  // Articles
+  { method: "GET", path: "/articles", resource: "Article", action: "read", handler: "listArticles" },
+  { method: "POST", path: "/articles", resource: "Article", action: "create", handler: "createArticle" },
+  { method: "GET", path: "/articles/trash", resource: "Article", action: "read", handler: "listTrash", idParam: null },
+  { method: "GET", path: "/articles/:id", resource: "Article", action: "read", handler: "getArticle" },
+  { method: "GET", path: "/articles/by-slug/:slug", resource: "Article", action: "read", handler: "getArticleBySlug", idParam: "slug", lookup: "slug" },
+  { method: "PUT", path: "/articles/:id", resource: "Article", action: "update", handler: "updateArticle" },
+  { method: "DELETE", path: "/articles/:id", resource: "Article", action: "delete", handler: "deleteArticle" },
+  { method: "GET", path: "/articles/:id/workflow", resource: "Article", action: "read", handler: "getArticleWorkflow" },
+  { method: "POST", path: "/articles/:id/schedule", resource: "Article", action: workflow.transitions.publish?.action || "publish", handler: "scheduleArticle" },
+  ...transitionRoutes,
+  // Restoring undoes a delete, so it takes the same action (and ownership
+  // rules); purging needs the admin-only "purge" action
+  { method: "POST", path: "/articles/:id/restore", resource: "Article", action: "delete", handler: "restoreArticle" },
+  { method: "DELETE", path: "/articles/:id/purge", resource: "Article", action: "purge", handler: "purgeArticle" },
+  { method: "GET", path: "/articles/:id/revisions", resource: "Article", action: "read", handler: "listRevisions" },
+  { method: "GET", path: "/articles/:id/revisions/compare", resource: "Article", action: "read", handler: "compareRevisions" },
+  { method: "GET", path: "/articles/:id/revisions/:number", resource: "Article", action: "read", handler: "getRevision" },
+  { method: "POST", path: "/articles/:id/revisions/:number/restore", resource: "Article", action: "update", handler: "restoreRevision" },
+
+  // Categories (:id is an ID or a slug)
+  { method: "GET", path: "/categories", resource: "Category", action: "read", handler: "listCategories" },
+  { method: "POST", path: "/categories", resource: "Category", action: "create", handler: "createCategory" },
+  { method: "GET", path: "/categories/:id", resource: "Category", action: "read", handler: "getCategory" },
+  { method: "PUT", path: "/categories/:id", resource: "Category", action: "update", handler: "updateCategory" },
+  { method: "DELETE", path: "/categories/:id", resource: "Category", action: "delete", handler: "deleteCategory" },
+  { method: "GET", path: "/categories/:id/articles", resource: "Article", action: "read", handler: "getCategoryArticles", idParam: null },
+
+  // Comments
+  { method: "GET", path: "/comments", resource: "Comment", action: "read", handler: "listComments" },
+  { method: "POST", path: "/comments", resource: "Comment", action: "create", handler: "createComment" },
+  { method: "GET", path: "/comments/:id", resource: "Comment", action: "read", handler: "getComment" },
+  { method: "PUT", path: "/comments/:id", resource: "Comment", action: "update", handler: "updateComment" },
+  { method: "DELETE", path: "/comments/:id", resource: "Comment", action: "delete", handler: "deleteComment" },
+  { method: "POST", path: "/comments/:id/moderate", resource: "Comment", action: "moderate", handler: "moderateComment" },
+
+  // Media
+  { method: "GET", path: "/media", resource: "Media", action: "read", handler: "listMedia" },
+  { method: "POST", path: "/media", resource: "Media", action: "create", handler: "uploadMedia" },
+  { method: "GET", path: "/media/:id", resource: "Media", action: "read", handler: "getMedia" },
+  { method: "GET", path: "/media/:id/file", resource: "Media", action: "read", handler: "getMediaFile" },
+  { method: "PUT", path: "/media/:id", resource: "Media", action: "update", handler: "updateMedia" },
+  { method: "DELETE", path: "/media/:id", resource: "Media", action: "delete", handler: "deleteMedia" },
+  { method: "POST", path: "/media/:id/attach", resource: "Media", action: "update", handler: "attachMedia" },
+  { method: "POST", path: "/media/:id/detach", resource: "Media", action: "update", handler: "detachMedia" },
+
+  // API keys
+  { method: "GET", path: "/api-keys", resource: "ApiKey", action: "read", handler: "listApiKeys" },
+  { method: "POST", path: "/api-keys", resource: "ApiKey", action: "create", handler: "createApiKey" },
+  { method: "GET", path: "/api-keys/:id", resource: "ApiKey", action: "read", handler: "getApiKey" },
+  { method: "DELETE", path: "/api-keys/:id", resource: "ApiKey", action: "delete", handler: "revokeApiKey" },
+
+  // Webhooks (admins only)
+  { method: "GET", path: "/webhooks", resource: "Webhook", action: "read", handler: "listWebhooks" },
+  { method: "POST", path: "/webhooks", resource: "Webhook", action: "create", handler: "createWebhook" },
+  { method: "GET", path: "/webhooks/:id", resource: "Webhook", action: "read", handler: "getWebhook" },
+  { method: "PUT", path: "/webhooks/:id", resource: "Webhook", action: "update", handler: "updateWebhook" },
+  { method: "DELETE", path: "/webhooks/:id", resource: "Webhook", action: "delete", handler: "deleteWebhook" },
+  { method: "GET", path: "/webhooks/:id/deliveries", resource: "Webhook", action: "read", handler: "listWebhookDeliveries" },
+  { method: "GET", path: "/webhooks/:id/deliveries/:deliveryId", resource: "Webhook", action: "read", handler: "getWebhookDelivery" },
+  { method: "POST", path: "/webhooks/:id/deliveries/:deliveryId/replay", resource: "Webhook", action: "update", handler: "replayWebhookDelivery" },
+
+  // User management, served by the userSync function (admins only)
+  { method: "POST", path: "/admin/users/:action", resource: "User", action: "manage", handler: "userSync", idParam: null },
+
+  // Audit log (admins only)
+  { method: "GET", path: "/audit-logs", resource: "AuditLog", action: "read", handler: "listAuditLogs" },
+  { method: "GET", path: "/audit-logs/:id", resource: "AuditLog", action: "read", handler: "getAuditLog" },
+];
+
+const splitPath = (path) =>
+  String(path || "")
+    .split("/")
+    .filter(Boolean);
+
+const compiled = routes.map((route) => ({
+  ...route,
+  idParam: route.idParam === undefined ? "id" : route.idParam,
+  segments: splitPath(route.path),
+}));
+
+// Parameters when the route's path matches, otherwise null
+function matchPath(route, segments) {
+  if (route.segments.length !== segments.length) return null;
+
+  const params = {};
+  for (let i = 0; i < segments.length; i++) {
+    const expected = route.segments[i];
+    if (expected.startsWith(":")) {
+      params[expected.slice(1)] = segments[i];
+    } else if (expected !== segments[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+// How specific a route is: literal segments count more the earlier they are
+const specificity = (route) =>
+  route.segments.reduce(
+    (score, segment, index) =>
+      segment.startsWith(":") ? score : score + 2 ** (32 - index),
+    0,
+  );
+
+// The path of an API Gateway event, e.g. "/articles/abc/publish". The proxy
+// parameter is preferred because it never includes a stage or base path.
+exports.getRequestPath = (event = {}) =>
+  event.pathParameters?.proxy !== undefined
+    ? `/${event.pathParameters.proxy}`
+    : event.path || "/";
+
+// Find the route for a request:
+//   { route, params, resourceId }     a route matches
+//   { route: null, allowedMethods }   the path exists but not for this method
+//                                     (allowedMethods is empty for a 404)
+exports.matchRoute = (method, path) => {
+  const segments = splitPath(path);
+
+  const candidates = compiled
+    .map((route) => ({ route, params: matchPath(route, segments) }))
+    .filter(({ params }) => params)
+    .sort((a, b) => specificity(b.route) - specificity(a.route));
+
+  if (!candidates.length) {
+    return { route: null, allowedMethods: [] };
+  }
+
+  // Only the most specific path counts: GET /articles/:id/revisions/compare
+  // must not fall back to a different route for another method
+  const best = specificity(candidates[0].route);
+  const samePath = candidates.filter(
+    ({ route }) => specificity(route) === best,
+  );
+
+  const match = samePath.find(({ route }) => route.method === method);
+  if (match) {
+    const { segments: _segments, ...route } = match.route;
+    return {
+      route,
+      params: match.params,
+      resourceId: route.idParam ? match.params[route.idParam] : null,
+    };
+  }
+
+  return {
+    route: null,
+    allowedMethods: [...new Set(samePath.map(({ route }) => route.method))],
+  };
+};
+
+exports.routes = routes;
@@ -0,0 +1,29 @@
+// ./src/schemas/api-key.js
+
+const { SCOPE_PATTERN } = require("../auth/api-keys");
+const { TIER_LIMITS } = require("../rate-limit");
+
+// Fields accepted when issuing an API key (see validateBody in
+// src/utils/validation.js). Keys can't be given the admin role: managing keys
+// and users stays with people. A key's rate tier only sets its quota;
+// premium content access comes from its subscription tier, like for users.
+exports.createApiKey = {
+  name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+  scopes: {
+    type: "array",
+    required: true,
+    items: {
+      type: "string",
+      required: true,
+      pattern: SCOPE_PATTERN,
+      patternMessage: 'Must look like "Article:read" ("*" is a wildcard)',
+    },
+    minItems: 1,
+    maxItems: 50,
+    unique: true,
+  },
+  role: { type: "string", enum: ["viewer", "author", "editor"] },
+  rateTier: { type: "string", enum: Object.keys(TIER_LIMITS) },
+  subscriptionTier: { type: "string", enum: Object.keys(TIER_LIMITS) },
+  expiresAt: { type: "date" },
+};
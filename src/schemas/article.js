@@ -0,0 +1,87 @@
+// ./src/schemas/article.js
+
+const { SLUG_PATTERN } = require("../utils/slug");
+const { CONTENT_FORMATS } = require("../utils/content");
+
+// Writable fields for article create/update requests (see validateBody in
+// src/utils/validation.js). Anything not listed is rejected as unknown.
+// Status, the schedule and attached media change through their own routes,
+// which carry their own Permit checks, and ownership is always taken from the
+// caller.
+const READ_ONLY_FIELDS = [
+  "_id",
+  "__v",
+  "status",
+  "workflowHistory",
+  "publishAt",
+  "unpublishAt",
+  "media",
+  "slugHistory",
+  "version",
+  "deletedAt",
+  "deletedBy",
+  "excerpt",
+  "wordCount",
+  "readingTimeMinutes",
+  "outline",
+  "createdAt",
+  "updatedAt",
+];
+
+const readOnly = Object.fromEntries(
+  READ_ONLY_FIELDS.map((field) => [field, { readOnly: true }]),
+);
+
+const editableFields = {
+  title: { type: "string", minLength: 1, maxLength: 200 },
+  // Generated from the title when omitted
+  slug: {
+    type: "string",
+    maxLength: 80,
+    pattern: SLUG_PATTERN,
+    patternMessage: "Must be lowercase letters and digits joined by hyphens",
+  },
+  content: { type: "string", minLength: 1, maxLength: 100000, trim: false },
+  contentFormat: { type: "string", enum: CONTENT_FORMATS },
+  category: { type: "string", enum: ["free", "premium"] },
+  categories: {
+    type: "array",
+    items: { type: "objectId" },
+    maxItems: 10,
+    unique: true,
+  },
+  tags: {
+    type: "array",
+    items: { type: "string", required: true, maxLength: 50 },
+    maxItems: 20,
+    unique: true,
+  },
+};
+
+exports.createArticle = {
+  ...readOnly,
+  ...editableFields,
+  title: { ...editableFields.title, required: true },
+  content: { ...editableFields.content, required: true },
+  // The creator always owns a new article
+  author: { readOnly: true },
+};
+
+exports.updateArticle = {
+  ...readOnly,
+  ...editableFields,
+  // Only admins may hand an article over to another user
+  author: { type: "string", minLength: 1, maxLength: 100, roles: ["admin"] },
+};
+
+// Body of POST /articles/:id/{transition}; some transitions require the
+// comment (see src/utils/workflow.js)
+exports.transitionArticle = {
+  comment: { type: "string", maxLength: 2000 },
+};
+
+// POST /articles/:id/schedule. null clears a date, omitted ones are kept.
+exports.scheduleArticle = {
+  publishAt: { type: "date", nullable: true },
+  unpublishAt: { type: "date", nullable: true },
+};
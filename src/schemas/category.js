@@ -0,0 +1,19 @@
+// ./src/schemas/category.js
+
+// Fields accepted when creating or updating a category (see validateBody in
+// src/utils/validation.js). `parent` is the parent's ID or slug; null makes
+// the category a root one.
+const fields = {
+  name: { type: "string", minLength: 1, maxLength: 100 },
+  slug: { type: "string", minLength: 1, maxLength: 100 },
+  description: { type: "string", maxLength: 1000 },
+  parent: { type: "string", maxLength: 100, nullable: true },
+  order: { type: "number" },
+};
+
+exports.createCategory = {
+  ...fields,
+  name: { ...fields.name, required: true },
+};
+
+exports.updateCategory = fields;
@@ -0,0 +1,30 @@
+// ./src/schemas/comment.js
+
+const Comment = require("../models/comment");
+
+const content = {
+  type: "string",
+  required: true,
+  minLength: 1,
+  maxLength: 5000,
+};
+
+// Fields accepted by the comment routes (see validateBody in
+// src/utils/validation.js). Authorship and status always come from the
+// server.
+exports.createComment = {
+  articleId: { type: "objectId", required: true },
+  parentId: { type: "objectId" },
+  content,
+};
+
+exports.updateComment = { content };
+
+exports.moderateComment = {
+  status: {
+    type: "string",
+    required: true,
+    enum: Comment.schema.path("status").enumValues,
+  },
+  note: { type: "string", maxLength: 1000 },
+};
@@ -0,0 +1,26 @@
+// ./src/schemas/media.js
+
+const filename = { type: "string", minLength: 1, maxLength: 255 };
+const altText = { type: "string", maxLength: 1000 };
+const caption = { type: "string", maxLength: 2000 };
+
+// JSON uploads carry the file as base64 (or a data URL) in `data` (see
+// validateBody in src/utils/validation.js). Multipart uploads send the same
+// fields as form parts.
+exports.uploadMedia = {
+  data: { type: "string", required: true, trim: false },
+  filename,
+  mimeType: { type: "string", maxLength: 100 },
+  altText,
+  caption,
+  width: { type: "number", min: 1 },
+  height: { type: "number", min: 1 },
+};
+
+// Only descriptive metadata is editable; the file itself is immutable
+exports.updateMedia = { altText, caption, filename };
+
+// Body of POST /media/:id/attach and /detach
+exports.mediaAttachment = {
+  articleId: { type: "objectId", required: true },
+};
@@ -0,0 +1,90 @@
+// ./src/schemas/user.js
+
+const { TIER_LIMITS } = require("../rate-limit");
+const { TENANT_PATTERN } = require("../utils/tenancy");
+
+// Role names the authorization provider knows about. Keep AUTHZ_ROLES in
+// step with the roles configured in Permit.io (or the local policy).
+const ROLES = (process.env.AUTHZ_ROLES || "viewer,author,editor,admin")
+  .split(",")
+  .map((role) => role.trim())
+  .filter(Boolean);
+
+const userId = {
+  type: "string",
+  required: true,
+  maxLength: 100,
+  pattern: /^[A-Za-z0-9._@:-]+$/,
+  patternMessage: "May only contain letters, digits and . _ @ : -",
+};
+
+const role = { type: "string", enum: ROLES };
+
+// Tenant roles are assigned in; defaults to the admin's own tenant
+const tenant = {
+  type: "string",
+  maxLength: 64,
+  pattern: TENANT_PATTERN,
+  patternMessage: "Must be a tenant key (lowercase letters, digits, - and _)",
+};
+
+// `userData` for POST /admin/users/sync. A role, when given, is assigned too.
+exports.syncUser = {
+  userId,
+  email: {
+    type: "string",
+    required: true,
+    maxLength: 254,
+    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    patternMessage: "Must be an email address",
+  },
+  firstName: { type: "string", maxLength: 100 },
+  lastName: { type: "string", maxLength: 100 },
+  subscriptionTier: { type: "string", enum: Object.keys(TIER_LIMITS) },
+  createdAt: { type: "date" },
+  role,
+  tenant,
+};
+
+// `userData` for POST /admin/users/assign-role
+exports.assignRole = {
+  userId,
+  role: { ...role, required: true },
+  tenant,
+};
+
+// `userData` for POST /admin/users/unassign-role
+exports.unassignRole = exports.assignRole;
+
+// `userData` for POST /admin/users/update-attributes. Only attributes the
+// policies use can be changed.
+exports.updateAttributes = {
+  userId,
+  subscriptionTier: {
+    type: "string",
+    required: true,
+    enum: Object.keys(TIER_LIMITS),
+  },
+};
+
+// `userData` for POST /admin/users/get-user; only roles in `tenant` are shown
+exports.getUser = { userId, tenant };
+
+// `userData` for POST /admin/users/delete-user
+exports.deleteUser = { userId };
+
+// `userData` for POST /admin/users/bulk-import: either `users`, an array of
+// syncUser objects, or `csv`, text with a header row of syncUser field names.
+// Imports must finish within API Gateway's 29 second limit, so larger ones
+// are split into several requests.
+exports.bulkImport = {
+  users: {
+    type: "array",
+    minItems: 1,
+    maxItems: 100,
+    items: { type: "object" },
+  },
+  csv: { type: "string", trim: false, maxLength: 1024 * 1024 },
+};
+
+exports.ROLES = ROLES;
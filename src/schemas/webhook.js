@@ -0,0 +1,34 @@
+// ./src/schemas/webhook.js
+
+const { EVENT_TYPES } = require("../webhooks");
+
+const events = {
+  type: "array",
+  minItems: 1,
+  maxItems: EVENT_TYPES.length + 1,
+  unique: true,
+  items: { type: "string", required: true, enum: [...EVENT_TYPES, "*"] },
+};
+
+const url = {
+  type: "string",
+  maxLength: 2048,
+  pattern: /^https?:\/\/[^\s/$.?#][^\s]*$/i,
+  patternMessage: "Must be an http or https URL",
+};
+
+// Fields accepted when subscribing (see validateBody in
+// src/utils/validation.js). "*" subscribes to every event type.
+exports.createWebhook = {
+  url: { ...url, required: true },
+  events: { ...events, required: true },
+  description: { type: "string", maxLength: 500 },
+  active: { type: "boolean" },
+};
+
+exports.updateWebhook = {
+  url,
+  events,
+  description: { type: "string", maxLength: 500 },
+  active: { type: "boolean" },
+};
@@ -0,0 +1,63 @@
+// ./src/storage/index.js
+
+const crypto = require("crypto");
+const path = require("path");
+const LocalStorageAdapter = require("./local");
+
+// Every storage adapter implements the same interface:
+//   put(key, data, { contentType }) -> Promise<{ key, url }>
+//   get(key)                        -> Promise<Buffer>
+//   delete(key)                     -> Promise<void>
+//   getUrl(key)                     -> string, or null when files are
+//                                      only served by GET /media/:id/file
+// and exposes a `name` that is stored alongside each media record.
+const adapters = {
+  local: () =>
+    new LocalStorageAdapter({
+      directory: process.env.MEDIA_LOCAL_DIR,
+      publicUrl: process.env.MEDIA_PUBLIC_URL,
+    }),
+  // Loaded lazily so local setups never pull in the AWS SDK
+  s3: () => {
+    const S3StorageAdapter = require("./s3");
+    return new S3StorageAdapter({
+      bucket: process.env.MEDIA_S3_BUCKET,
+      region: process.env.MEDIA_S3_REGION || process.env.AWS_REGION,
+      endpoint: process.env.MEDIA_S3_ENDPOINT,
+      publicUrl: process.env.MEDIA_PUBLIC_URL,
+      accessKeyId: process.env.MEDIA_S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.MEDIA_S3_SECRET_ACCESS_KEY,
+    });
+  },
+};
+
+// Reuse adapter instances across Lambda invocations
+const instances = new Map();
+
+exports.getStorage = (name = process.env.MEDIA_STORAGE || "local") => {
+  if (!adapters[name]) {
+    throw new Error(`Unknown media storage adapter: ${name}`);
+  }
+  if (!instances.has(name)) {
+    instances.set(name, adapters[name]());
+  }
+  return instances.get(name);
+};
+
+// Build a collision-free key such as "2025/08/3f2a9c1b7d4e-header.png"
+exports.generateKey = (filename) => {
+  const now = new Date();
+  const extension = path.extname(filename || "");
+  const base = path
+    .basename(filename || "upload", extension)
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+
+  return [
+    now.getUTCFullYear(),
+    String(now.getUTCMonth() + 1).padStart(2, "0"),
+    `${crypto.randomBytes(6).toString("hex")}-${base || "file"}${extension.toLowerCase()}`,
+  ].join("/");
+};
@@ -0,0 +1,54 @@
+// ./src/storage/local.js
+
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+// Stores media on the local filesystem. Intended for serverless-offline and
+// tests; on Lambda only /tmp is writable and it does not survive cold starts.
+// Unless MEDIA_PUBLIC_URL points at a server for the directory, files are
+// only reachable through GET /media/:id/file.
+class LocalStorageAdapter {
+  constructor({ directory, publicUrl } = {}) {
+    this.name = "local";
+    this.directory = path.resolve(
+      directory || path.join(os.tmpdir(), "content-api-media"),
+    );
+    this.publicUrl = publicUrl ? publicUrl.replace(/\/$/, "") : null;
+  }
+
+  resolvePath(key) {
+    const filePath = path.resolve(this.directory, key);
+    // Keys are generated server-side, but never let one escape the directory
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, data) {
+    const filePath = this.resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, data);
+    return { key, url: this.getUrl(key) };
+  }
+
+  async get(key) {
+    return await fs.readFile(this.resolvePath(key));
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolvePath(key));
+    } catch (error) {
+      // Already gone is as good as deleted
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  getUrl(key) {
+    return this.publicUrl ? `${this.publicUrl}/${key}` : null;
+  }
+}
+
+module.exports = LocalStorageAdapter;
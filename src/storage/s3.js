@@ -0,0 +1,74 @@
+// ./src/storage/s3.js
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+
+// Stores media in S3 or any S3-compatible service (MinIO, R2, Spaces, ...)
+// when an endpoint is configured
+class S3StorageAdapter {
+  constructor({
+    bucket,
+    region,
+    endpoint,
+    publicUrl,
+    accessKeyId,
+    secretAccessKey,
+  } = {}) {
+    if (!bucket) {
+      throw new Error("MEDIA_S3_BUCKET is required for the s3 storage adapter");
+    }
+
+    this.name = "s3";
+    this.bucket = bucket;
+    this.region = region || "us-east-1";
+    this.endpoint = endpoint;
+    this.publicUrl = publicUrl ? publicUrl.replace(/\/$/, "") : null;
+
+    this.client = new S3Client({
+      region: this.region,
+      ...(endpoint && { endpoint, forcePathStyle: true }),
+      ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }),
+    });
+  }
+
+  async put(key, data, { contentType } = {}) {
+    await this.client.send(
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: data,
+        ContentType: contentType,
+      }),
+    );
+    return { key, url: this.getUrl(key) };
+  }
+
+  async get(key) {
+    const object = await this.client.send(
+      new GetObjectCommand({ Bucket: this.bucket, Key: key }),
+    );
+    return Buffer.from(await object.Body.transformToByteArray());
+  }
+
+  async delete(key) {
+    await this.client.send(
+      new DeleteObjectCommand({ Bucket: this.bucket, Key: key }),
+    );
+  }
+
+  getUrl(key) {
+    if (this.publicUrl) {
+      return `${this.publicUrl}/${key}`;
+    }
+    if (this.endpoint) {
+      return `${this.endpoint.replace(/\/$/, "")}/${this.bucket}/${key}`;
+    }
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com/${key}`;
+  }
+}
+
+module.exports = S3StorageAdapter;
@@ -0,0 +1,206 @@
+// ./src/utils/article-query.js
+
+const mongoose = require("mongoose");
+const { workflow } = require("./workflow");
+const { parsePagination } = require("./pagination");
+
+// Fields clients may sort on, with the type used to decode cursor values
+const SORTABLE_FIELDS = {
+  createdAt: "date",
+  updatedAt: "date",
+  title: "string",
+  status: "string",
+};
+
+const STATUSES = workflow.states;
+const CATEGORIES = ["free", "premium"];
+
+// Turn `GET /articles` query string parameters into a MongoDB filter, sort
+// and pagination options. Returns { errors } when any parameter is invalid.
+//
+//   status, category, author    exact matches (comma-separated for several)
+//   tags                        comma-separated; tagMode=all requires every tag
+//   categoryId                  editorial category ID
+//   from, to, dateField         ISO date range on createdAt (or updatedAt)
+//   q                           full-text search over title and content
+//   sort                        e.g. "-createdAt,title"; defaults to newest
+//                               first, or relevance when searching
+//   limit, offset | page        offset pagination
+//   cursor                      keyset pagination (use nextCursor from a
+//                               previous response instead of offset/page)
+exports.parseArticleListQuery = (query = {}) => {
+  const errors = [];
+  const filter = {};
+
+  const list = (value) =>
+    String(value)
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+
+  const matchAny = (field, values, allowed) => {
+    const invalid = allowed && values.filter((v) => !allowed.includes(v));
+    if (invalid?.length) {
+      errors.push({
+        field,
+        message: `Must be one of: ${allowed.join(", ")}`,
+      });
+      return;
+    }
+    filter[field] = values.length === 1 ? values[0] : { $in: values };
+  };
+
+  if (query.status) matchAny("status", list(query.status), STATUSES);
+  if (query.category) matchAny("category", list(query.category), CATEGORIES);
+  if (query.author) matchAny("author", list(query.author));
+
+  if (query.tags) {
+    const tags = list(query.tags);
+    filter.tags = query.tagMode === "all" ? { $all: tags } : { $in: tags };
+  }
+
+  if (query.categoryId) {
+    if (!mongoose.isValidObjectId(query.categoryId)) {
+      errors.push({ field: "categoryId", message: "Must be a valid ID" });
+    } else {
+      filter.categories = new mongoose.Types.ObjectId(query.categoryId);
+    }
+  }
+
+  const dateField = query.dateField || "createdAt";
+  if (!["createdAt", "updatedAt"].includes(dateField)) {
+    errors.push({
+      field: "dateField",
+      message: "Must be createdAt or updatedAt",
+    });
+  } else if (query.from || query.to) {
+    const range = {};
+    for (const [param, operator] of [
+      ["from", "$gte"],
+      ["to", "$lte"],
+    ]) {
+      if (!query[param]) continue;
+      const date = new Date(query[param]);
+      if (isNaN(date)) {
+        errors.push({ field: param, message: "Must be an ISO 8601 date" });
+      } else {
+        range[operator] = date;
+      }
+    }
+    filter[dateField] = range;
+  }
+
+  const search = query.q?.trim();
+  if (search) {
+    filter.$text = { $search: search };
+  }
+
+  // Sort: explicit fields, always tie-broken by _id so cursors are stable
+  const sort = [];
+  if (query.sort) {
+    for (const item of list(query.sort)) {
+      const field = item.replace(/^[-+]/, "");
+      if (!SORTABLE_FIELDS[field]) {
+        errors.push({
+          field: "sort",
+          message: `Cannot sort by '${field}'. Sortable fields: ${Object.keys(
+            SORTABLE_FIELDS,
+          ).join(", ")}`,
+        });
+      } else {
+        sort.push([field, item.startsWith("-") ? -1 : 1]);
+      }
+    }
+  } else if (!search) {
+    sort.push(["createdAt", -1]);
+  }
+  const sortByRelevance = Boolean(search) && !query.sort;
+
+  const { limit, offset } = parsePagination(query, errors);
+
+  let cursor = null;
+  if (query.cursor) {
+    if (sortByRelevance) {
+      errors.push({
+        field: "cursor",
+        message: "Cursor pagination requires an explicit sort when searching",
+      });
+    } else if (offset) {
+      errors.push({
+        field: "cursor",
+        message: "Use either cursor or offset/page pagination, not both",
+      });
+    } else {
+      cursor = decodeCursor(query.cursor, sort);
+      if (!cursor) {
+        errors.push({ field: "cursor", message: "Invalid cursor" });
+      }
+    }
+  }
+
+  if (errors.length) {
+    return { errors };
+  }
+
+  return { filter, sort, sortByRelevance, limit, offset, cursor };
+};
+
+// MongoDB sort document for the parsed options, including the _id tie-breaker
+exports.buildSort = ({ sort, sortByRelevance }) => {
+  if (sortByRelevance) {
+    return { score: { $meta: "textScore" }, _id: -1 };
+  }
+  const direction = sort.length ? sort[sort.length - 1][1] : -1;
+  return { ...Object.fromEntries(sort), _id: direction };
+};
+
+// Keyset condition selecting documents strictly after the cursor position,
+// e.g. for sort (createdAt desc, _id desc):
+//   { $or: [{ createdAt: { $lt: c } }, { createdAt: c, _id: { $lt: id } }] }
+exports.buildCursorFilter = ({ sort, cursor }) => {
+  const keys = [...sort, ["_id", sort.length ? sort[sort.length - 1][1] : -1]];
+  const values = [...cursor.values, cursor.id];
+
+  return {
+    $or: keys.map(([field, direction], index) => {
+      const clause = {};
+      for (let i = 0; i < index; i++) {
+        clause[keys[i][0]] = values[i];
+      }
+      clause[field] = { [direction === 1 ? "$gt" : "$lt"]: values[index] };
+      return clause;
+    }),
+  };
+};
+
+exports.encodeCursor = (article, sort) =>
+  Buffer.from(
+    JSON.stringify({
+      v: sort.map(([field]) => article[field]),
+      id: String(article._id),
+    }),
+  ).toString("base64url");
+
+function decodeCursor(raw, sort) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(raw, "base64url").toString());
+    if (
+      !Array.isArray(v) ||
+      v.length !== sort.length ||
+      !mongoose.isValidObjectId(id)
+    ) {
+      return null;
+    }
+
+    const values = v.map((value, index) =>
+      SORTABLE_FIELDS[sort[index][0]] === "date" ? new Date(value) : value,
+    );
+    if (values.some((value) => value instanceof Date && isNaN(value))) {
+      return null;
+    }
+
+    return { values, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
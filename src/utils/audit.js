@@ -0,0 +1,54 @@
+// ./src/utils/audit.js
+
+const { AsyncLocalStorage } = require("async_hooks");
+const mongoose = require("mongoose");
+const AuditLog = require("../models/audit-log");
+
+// Entries expire after AUDIT_RETENTION_DAYS. Changing it only affects new
+// entries, since each one stores its own expiry.
+const RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS ?? 365);
+
+// Who is making the current request ({ requestId, userId, role, authType }),
+// so deeply nested handlers can audit without threading it through
+const requestContext = new AsyncLocalStorage();
+
+exports.withAuditContext = (context, fn) => requestContext.run(context, fn);
+
+// Auditing must never break the request it describes: failures are logged
+// and swallowed
+async function write(entry) {
+  if (mongoose.connection.readyState !== 1) {
+    console.error("❌ Audit log unavailable, dropping entry:", entry.action);
+    return;
+  }
+
+  try {
+    await AuditLog.create({
+      ...requestContext.getStore(),
+      ...entry,
+      expiresAt: new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    });
+  } catch (error) {
+    console.error("❌ Failed to write audit log:", error.message);
+  }
+}
+
+// { source, userId, action, resource, resourceId, allowed, failedCheck,
+//   reason }; failedCheck is RBAC, ABAC, ReBAC or SCOPE for denials
+exports.recordDecision = (decision) => write({ type: "decision", ...decision });
+
+// { source, userId, action, resource, resourceId, before, after }, with
+// before/after as plain objects (null for creations and deletions)
+exports.recordMutation = ({ source = "handler", before, after, ...mutation }) =>
+  write({
+    type: "mutation",
+    source,
+    ...mutation,
+    before: toPlain(before),
+    after: toPlain(after),
+  });
+
+function toPlain(doc) {
+  if (!doc) return null;
+  return typeof doc.toObject === "function" ? doc.toObject() : doc;
+}
@@ -0,0 +1,168 @@
+// ./src/utils/content.js
+
+const { marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+const { slugify } = require("./slug");
+
+// Formats article content can be written in, and the ones it can be read in
+// with ?format=. "markdown" means the content as written: an article written
+// in html or plain text comes back in that format, as its contentFormat says.
+const CONTENT_FORMATS = ["markdown", "html", "plain"];
+const RESPONSE_FORMATS = ["html", "markdown", "text"];
+
+const WORDS_PER_MINUTE = 200;
+const EXCERPT_LENGTH = 200;
+
+// Whatever the source format, only this HTML reaches clients: no scripts,
+// styles, event handlers or iframes, and links limited to safe schemes
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, "img"],
+  allowedAttributes: {
+    a: ["href", "title", "rel"],
+    img: ["src", "alt", "title", "width", "height"],
+    code: ["class"], // language-* from fenced code blocks
+    ol: ["start"],
+    td: ["align"],
+    th: ["align"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", {
+      rel: "noopener noreferrer nofollow",
+    }),
+  },
+};
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+
+// Plain text keeps its paragraphs and line breaks
+const plainToHtml = (text) =>
+  text
+    .split(/\n\s*\n/)
+    .filter((paragraph) => paragraph.trim())
+    .map(
+      (paragraph) =>
+        `<p>${escapeHtml(paragraph.trim()).replace(/\n/g, "<br />")}</p>`,
+    )
+    .join("\n");
+
+// Give headings IDs (for links into the article) and collect the outline
+function addHeadingIds(html) {
+  const outline = [];
+  const used = new Map();
+
+  const withIds = html.replace(
+    /<h([1-6])>([\s\S]*?)<\/h\1>/g,
+    (heading, level, inner) => {
+      const text = htmlToText(inner).trim();
+      const base = slugify(text) || "section";
+      const count = used.get(base) || 0;
+      used.set(base, count + 1);
+      const id = count ? `${base}-${count + 1}` : base;
+
+      outline.push({ level: Number(level), text, id });
+      return `<h${level} id="${id}">${inner}</h${level}>`;
+    },
+  );
+
+  return { html: withIds, outline };
+}
+
+// Text content of sanitized HTML, with blocks on their own lines
+function htmlToText(html) {
+  const text = sanitizeHtml(
+    html
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(
+        /<\/(p|div|h[1-6]|li|blockquote|pre|tr|table|ul|ol)>/gi,
+        "$&\n\n",
+      ),
+    { allowedTags: [], allowedAttributes: {} },
+  );
+  return decodeEntities(text)
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Content as it is stored. HTML is sanitized on the way in, so every copy of
+// it (responses, revisions, webhook payloads) is safe to render; markdown and
+// plain text are kept as written and sanitized whenever they are rendered.
+function sanitizeSource(content, format) {
+  return format === "html"
+    ? sanitizeHtml(String(content || ""), SANITIZE_OPTIONS)
+    : content;
+}
+
+// Sanitized HTML, plain text and heading outline of `content` written in
+// `format`
+function renderContent(content, format = "markdown") {
+  const source = String(content || "");
+  const unsafe =
+    format === "html"
+      ? source
+      : format === "plain"
+        ? plainToHtml(source)
+        : marked.parse(source, { async: false, gfm: true });
+
+  const { html, outline } = addHeadingIds(
+    sanitizeHtml(unsafe, SANITIZE_OPTIONS),
+  );
+  return { html, text: htmlToText(html), outline };
+}
+
+// Fields derived from an article's content, stored with it on save
+function deriveContentFields(content, format) {
+  const { text, outline } = renderContent(content, format);
+  const words = text.split(/\s+/).filter(Boolean);
+
+  let excerpt = text.replace(/\s+/g, " ");
+  if (excerpt.length > EXCERPT_LENGTH) {
+    const cut = excerpt.slice(0, EXCERPT_LENGTH);
+    excerpt = `${cut.slice(0, cut.lastIndexOf(" ")) || cut}…`;
+  }
+
+  return {
+    excerpt,
+    wordCount: words.length,
+    readingTimeMinutes: words.length
+      ? Math.ceil(words.length / WORDS_PER_MINUTE)
+      : 0,
+    outline,
+  };
+}
+
+// `content` as requested with ?format=. Markdown is the source itself, so
+// articles written in another format keep theirs; `contentFormat` in the
+// result says which one the content is in.
+function formatContent(content, sourceFormat, format) {
+  if (format === "markdown") {
+    return { content, contentFormat: sourceFormat };
+  }
+
+  const { html, text } = renderContent(content, sourceFormat);
+  return format === "html"
+    ? { content: html, contentFormat: "html" }
+    : { content: text, contentFormat: "plain" };
+}
+
+module.exports = {
+  CONTENT_FORMATS,
+  RESPONSE_FORMATS,
+  sanitizeSource,
+  renderContent,
+  deriveContentFields,
+  formatContent,
+};
@@ -0,0 +1,70 @@
+// ./src/utils/csv.js
+
+// Minimal RFC 4180 CSV parser: quoted fields may contain commas, newlines
+// and doubled quotes. Returns `{ line, record }` for each data row: the
+// record is keyed by the header row, with empty cells left out, and line is
+// where the row starts (1-based, for error reporting).
+exports.parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    row.push(field);
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    // Skip blank lines
+    if (row.length > 1 || row[0].trim()) rows.push({ cells: row, rowLine });
+    row = [];
+    rowLine = line;
+  };
+
+  const source = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"' && !field) {
+      quoted = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      // CRLF is one line break
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      line++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Unterminated quoted field on line ${rowLine}`);
+  }
+  if (field || row.length) endRow();
+
+  if (!rows.length) return [];
+  const headers = rows[0].cells.map((header) => header.trim());
+
+  return rows.slice(1).map(({ cells, rowLine: start }) => {
+    const record = {};
+    headers.forEach((header, index) => {
+      const value = (cells[index] ?? "").trim();
+      if (header && value) record[header] = value;
+    });
+    return { line: start, record };
+  });
+};
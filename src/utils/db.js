@@ -0,0 +1,21 @@
+// ./src/utils/db.js
+
+const mongoose = require("mongoose");
+
+// MongoDB connection with reuse across Lambda invocations
+let isConnected = false;
+exports.connectDB = async () => {
+  if (isConnected) return;
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    isConnected = true;
+    console.log("✅ Connected to MongoDB");
+  } catch (error) {
+    console.error("❌ MongoDB connection failed:", error);
+    throw error;
+  }
+};
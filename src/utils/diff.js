@@ -0,0 +1,77 @@
+// ./src/utils/diff.js
+
+// Above this many lines per side, fall back to a whole-value replacement
+// instead of running the quadratic LCS table
+const MAX_DIFF_LINES = 2000;
+
+// Line-based diff of two strings as a list of hunks:
+//   [{ type: "equal" | "added" | "removed", lines: [...] }]
+exports.diffLines = (before = "", after = "") => {
+  const a = String(before).split("\n");
+  const b = String(after).split("\n");
+
+  if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+    return [
+      { type: "removed", lines: a },
+      { type: "added", lines: b },
+    ];
+  }
+
+  // Longest-common-subsequence lengths, computed from the end
+  const lcs = Array.from(
+    { length: a.length + 1 },
+    () => new Uint32Array(b.length + 1),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const hunks = [];
+  const push = (type, line) => {
+    const last = hunks[hunks.length - 1];
+    if (last?.type === type) {
+      last.lines.push(line);
+    } else {
+      hunks.push({ type, lines: [line] });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("equal", a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+
+  return hunks;
+};
+
+// Field-by-field comparison of two snapshots. Text fields get a line diff,
+// everything else is reported as from/to values.
+exports.diffSnapshots = (from = {}, to = {}, fields, textFields = []) => {
+  const changes = {};
+
+  for (const field of fields) {
+    if (JSON.stringify(from[field]) === JSON.stringify(to[field])) continue;
+
+    changes[field] = textFields.includes(field)
+      ? { lines: exports.diffLines(from[field], to[field]) }
+      : { from: from[field], to: to[field] };
+  }
+
+  return changes;
+};
@@ -0,0 +1,214 @@
+// ./src/utils/errors.js
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { createResponse } = require("./response");
+
+// Base class for errors that map to a specific HTTP response. `details` is
+// returned to the client as-is (field errors, allowed values, ...), so it
+// must never carry internal information.
+class AppError extends Error {
+  constructor(
+    message,
+    { statusCode = 500, code = "INTERNAL_ERROR", details, headers } = {},
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+// details: [{ field, message }]
+class ValidationError extends AppError {
+  constructor(message = "Validation failed", details) {
+    super(message, { statusCode: 400, code: "VALIDATION_FAILED", details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = "Resource not found") {
+    super(message, { statusCode: 404, code: "NOT_FOUND" });
+  }
+}
+
+// `check` names the kind of rule that denied access (RBAC, ABAC, ReBAC or
+// SCOPE) for the audit log; it is not sent to the client
+class ForbiddenError extends AppError {
+  constructor(message = "Access denied", details, { check } = {}) {
+    super(message, { statusCode: 403, code: "FORBIDDEN", details });
+    this.check = check;
+  }
+}
+
+// allowedMethods become the Allow header the HTTP spec requires with a 405
+class MethodNotAllowedError extends AppError {
+  constructor(message = "Method not allowed", allowedMethods) {
+    super(message, {
+      statusCode: 405,
+      code: "METHOD_NOT_ALLOWED",
+      details: allowedMethods && { allowed: allowedMethods },
+      headers: allowedMethods && { Allow: allowedMethods.join(", ") },
+    });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, details) {
+    super(message, { statusCode: 409, code: "CONFLICT", details });
+  }
+}
+
+// The client's copy (If-Match) is stale. details and the ETag header carry
+// the current version so it can refetch and retry.
+class PreconditionFailedError extends AppError {
+  constructor(message, { version, etag } = {}) {
+    super(message, {
+      statusCode: 412,
+      code: "PRECONDITION_FAILED",
+      details: { current_version: version, etag },
+      headers: etag && { ETag: etag },
+    });
+  }
+}
+
+class PreconditionRequiredError extends AppError {
+  constructor(message = "This request must be conditional; send If-Match") {
+    super(message, { statusCode: 428, code: "PRECONDITION_REQUIRED" });
+  }
+}
+
+class RateLimitedError extends AppError {
+  constructor(message, { retryAfter, headers } = {}) {
+    super(message, {
+      statusCode: 429,
+      code: "RATE_LIMITED",
+      details: { retry_after: retryAfter },
+      headers,
+    });
+  }
+}
+
+// The policy decision point (Permit.io PDP) or another dependency failed
+class UpstreamError extends AppError {
+  constructor(message = "Authorization service unavailable", cause) {
+    super(message, { statusCode: 503, code: "UPSTREAM_UNAVAILABLE" });
+    this.cause = cause;
+  }
+}
+
+const PERMIT_ERRORS = [
+  "PermitError",
+  "PermitConnectionError",
+  "PermitPDPStatusError",
+];
+
+// Translate library errors into AppErrors; anything unrecognised becomes a
+// generic 500
+function normalizeError(error) {
+  if (error instanceof AppError) return error;
+
+  // JSON.parse on a malformed request body
+  if (error instanceof SyntaxError) {
+    return new AppError("Request body must be valid JSON", {
+      statusCode: 400,
+      code: "INVALID_JSON",
+    });
+  }
+
+  // A malformed ObjectId can't match anything
+  if (error instanceof mongoose.Error.CastError) {
+    return error.path === "_id"
+      ? new NotFoundError()
+      : new ValidationError("Validation failed", [
+          { field: error.path, message: `Invalid value for ${error.kind}` },
+        ]);
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new ValidationError(
+      "Validation failed",
+      Object.values(error.errors).map(({ path, message }) => ({
+        field: path,
+        message,
+      })),
+    );
+  }
+
+  // A versioned save lost a race with another write (article routes turn
+  // these into a 412 first)
+  if (
+    error instanceof mongoose.Error.DocumentNotFoundError ||
+    error instanceof mongoose.Error.VersionError
+  ) {
+    return new ConflictError(
+      "The resource was modified by another request; fetch it and retry",
+    );
+  }
+
+  // Unique index violation
+  if (error?.code === 11000) {
+    return new ConflictError(
+      "A resource with the same unique value already exists",
+      Object.keys(error.keyValue || {}).map((field) => ({
+        field,
+        message: "Must be unique",
+      })),
+    );
+  }
+
+  if (PERMIT_ERRORS.includes(error?.name)) {
+    return new UpstreamError(undefined, error);
+  }
+
+  return new AppError("Internal server error");
+}
+
+// Request ID from API Gateway, a client-supplied header, or a fresh one
+function getRequestId(event = {}) {
+  return (
+    event.requestContext?.requestId ||
+    event.headers?.["X-Request-Id"] ||
+    event.headers?.["x-request-id"] ||
+    crypto.randomUUID()
+  );
+}
+
+// Build the error response for any thrown error. Server errors are logged
+// in full but only ever described generically to the client.
+function toErrorResponse(error, requestId) {
+  const appError = normalizeError(error);
+
+  if (appError.statusCode >= 500) {
+    console.error(`❌ [${requestId}] Request failed:`, error);
+  }
+
+  return createResponse(
+    appError.statusCode,
+    {
+      error: appError.message,
+      code: appError.code,
+      ...(appError.details !== undefined && { details: appError.details }),
+      requestId,
+    },
+    { ...appError.headers, "X-Request-Id": requestId },
+  );
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  MethodNotAllowedError,
+  ConflictError,
+  PreconditionFailedError,
+  PreconditionRequiredError,
+  RateLimitedError,
+  UpstreamError,
+  normalizeError,
+  getRequestId,
+  toErrorResponse,
+};
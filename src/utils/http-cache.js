@@ -0,0 +1,129 @@
+// ./src/utils/http-cache.js
+
+const crypto = require("crypto");
+const { createResponse } = require("./response");
+
+// Lifetimes, in seconds, for articles any reader may see. Shared caches (the
+// CDN) may keep them longer than clients since they can be purged.
+const MAX_AGE = Number(process.env.CACHE_MAX_AGE ?? 60);
+const SHARED_MAX_AGE = Number(process.env.CACHE_SHARED_MAX_AGE ?? 300);
+
+// Only the caller's own client may store these, and it must revalidate
+// (with the ETag) before every reuse. The body depends on who is asking.
+const PRIVATE = "private, no-cache";
+
+const etagOf = (...parts) =>
+  `"${crypto.createHash("sha256").update(parts.join(":")).digest("base64url").slice(0, 27)}"`;
+
+// Every change to an article bumps its version and updatedAt, so with the
+// ID they identify the representation without hashing the body. `variant`
+// tells apart other representations of the same version (?format=); writes
+// compare If-Match against the plain one.
+const articleEtag = (article, variant) =>
+  etagOf(
+    "article",
+    article._id,
+    article.version ?? 1,
+    (article.updatedAt || article.createdAt)?.getTime(),
+    ...(variant ? [variant] : []),
+  );
+
+// For responses with no single version to go by, such as listings
+const bodyEtag = (body) => etagOf("body", JSON.stringify(body));
+
+// Published free articles may be cached by anyone, including the CDN, but
+// never past their unpublishAt. Drafts, embargoed and premium articles are
+// private.
+function articleCacheControl(article, now = new Date()) {
+  if (!article.isPublic(now) || article.category !== "free") return PRIVATE;
+
+  let maxAge = MAX_AGE;
+  let sharedMaxAge = SHARED_MAX_AGE;
+  if (article.unpublishAt) {
+    const remaining = Math.floor((article.unpublishAt - now) / 1000);
+    maxAge = Math.min(maxAge, remaining);
+    sharedMaxAge = Math.min(sharedMaxAge, remaining);
+  }
+  return `public, max-age=${maxAge}, s-maxage=${sharedMaxAge}`;
+}
+
+function getHeader(headers, name) {
+  const wanted = name.toLowerCase();
+  const key = Object.keys(headers || {}).find(
+    (header) => header.toLowerCase() === wanted,
+  );
+  return key === undefined ? undefined : headers[key];
+}
+
+// True when the client's copy is current. If-None-Match takes precedence
+// over If-Modified-Since, as in RFC 9110.
+function isNotModified(headers, { etag, lastModified }) {
+  const ifNoneMatch = getHeader(headers, "If-None-Match");
+  if (ifNoneMatch !== undefined) {
+    if (ifNoneMatch.trim() === "*") return true;
+    // GETs use weak comparison
+    return ifNoneMatch
+      .split(",")
+      .map((tag) => tag.trim().replace(/^W\//, ""))
+      .includes(etag);
+  }
+
+  const ifModifiedSince = getHeader(headers, "If-Modified-Since");
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    // HTTP dates have one-second resolution
+    return (
+      !Number.isNaN(since) &&
+      Math.floor(lastModified.getTime() / 1000) * 1000 <= since
+    );
+  }
+  return false;
+}
+
+// If-Match for writes: true when it names `etag` or is "*". Writes use
+// strong comparison, so weak tags never match.
+function matchesIfMatch(ifMatch, etag) {
+  if (ifMatch.trim() === "*") return true;
+  return ifMatch
+    .split(",")
+    .map((tag) => tag.trim())
+    .includes(etag);
+}
+
+// Respond to a GET with `body` and its validators, or with an empty 304 when
+// the request's conditional headers show the client already has it
+function conditionalResponse(
+  headers,
+  body,
+  {
+    etag = bodyEtag(body),
+    lastModified,
+    cacheControl = PRIVATE,
+    headers: extraHeaders,
+  } = {},
+) {
+  const cacheHeaders = {
+    ...extraHeaders,
+    ETag: etag,
+    "Cache-Control": cacheControl,
+    ...(lastModified && { "Last-Modified": lastModified.toUTCString() }),
+    ...(cacheControl === PRIVATE && { Vary: "Authorization, X-API-Key" }),
+  };
+
+  if (isNotModified(headers, { etag, lastModified })) {
+    const { "Content-Type": _contentType, ...notModifiedHeaders } =
+      createResponse(304, null, cacheHeaders).headers;
+    return { statusCode: 304, headers: notModifiedHeaders, body: "" };
+  }
+  return createResponse(200, body, cacheHeaders);
+}
+
+module.exports = {
+  articleEtag,
+  bodyEtag,
+  articleCacheControl,
+  getHeader,
+  isNotModified,
+  matchesIfMatch,
+  conditionalResponse,
+};
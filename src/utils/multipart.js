@@ -0,0 +1,72 @@
+// ./src/utils/multipart.js
+
+const { ValidationError } = require("./errors");
+
+// Minimal multipart/form-data parser for API Gateway events, which deliver
+// the whole body at once (base64-encoded when it contains binary data)
+exports.parseMultipart = (body, contentType) => {
+  const boundaryMatch = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(
+    contentType || "",
+  );
+  if (!boundaryMatch) {
+    throw new ValidationError("Multipart boundary missing from Content-Type");
+  }
+
+  const boundary = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2]}`);
+  const buffer = Buffer.isBuffer(body)
+    ? body
+    : Buffer.from(body || "", "binary");
+  const fields = {};
+  const files = [];
+
+  let start = buffer.indexOf(boundary);
+  while (start !== -1) {
+    const partStart = start + boundary.length;
+    // "--" after a boundary marks the end of the body
+    if (buffer.slice(partStart, partStart + 2).toString() === "--") break;
+
+    const end = buffer.indexOf(boundary, partStart);
+    if (end === -1) break;
+
+    // Each part is CRLF, headers, blank line, content, CRLF
+    const part = buffer.slice(partStart + 2, end - 2);
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (headerEnd !== -1) {
+      const headers = parsePartHeaders(part.slice(0, headerEnd).toString());
+      const content = part.slice(headerEnd + 4);
+      const disposition = headers["content-disposition"] || "";
+      const name = /name="([^"]*)"/i.exec(disposition)?.[1];
+      const filename = /filename="([^"]*)"/i.exec(disposition)?.[1];
+
+      if (filename !== undefined) {
+        files.push({
+          fieldName: name,
+          filename,
+          contentType: headers["content-type"] || "application/octet-stream",
+          data: content,
+        });
+      } else if (name) {
+        fields[name] = content.toString("utf8");
+      }
+    }
+
+    start = end;
+  }
+
+  return { fields, files };
+};
+
+function parsePartHeaders(raw) {
+  return Object.fromEntries(
+    raw
+      .split("\r\n")
+      .map((line) => {
+        const separator = line.indexOf(":");
+        return [
+          line.slice(0, separator).trim().toLowerCase(),
+          line.slice(separator + 1).trim(),
+        ];
+      })
+      .filter(([key]) => key),
+  );
+}
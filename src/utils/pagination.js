@@ -0,0 +1,33 @@
+// ./src/utils/pagination.js
+
+// Offset pagination from the `limit` and `offset` (or 1-based `page`) query
+// parameters. Problems are pushed onto `errors`, so callers can report them
+// together with their other parameters.
+exports.parsePagination = (
+  query,
+  errors,
+  { defaultLimit = 20, maxLimit = 100 } = {},
+) => {
+  const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    errors.push({
+      field: "limit",
+      message: `Must be an integer between 1 and ${maxLimit}`,
+    });
+  }
+
+  let offset = 0;
+  if (query.offset !== undefined) {
+    offset = Number(query.offset);
+  } else if (query.page !== undefined) {
+    offset = (Number(query.page) - 1) * limit;
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    errors.push({
+      field: query.page !== undefined ? "page" : "offset",
+      message: "Must be a non-negative integer (page starts at 1)",
+    });
+  }
+
+  return { limit, offset };
+};
@@ -6,8 +6,12 @@ exports.createResponse = (statusCode, body, additionalHeaders = {}) => {
     headers: {
       "Content-Type": "application/json",
       "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Headers": "Content-Type,Authorization",
+      "Access-Control-Allow-Headers":
+        "Content-Type,Authorization,X-API-Key,If-Match,If-None-Match,If-Modified-Since",
       "Access-Control-Allow-Methods": "GET,POST,PUT,DELETE,OPTIONS",
+      // Let browser clients read the rate limit, request ID and ETag headers
+      "Access-Control-Expose-Headers":
+        "ETag,Retry-After,X-RateLimit-Limit,X-RateLimit-Remaining,X-RateLimit-Reset,X-Request-Id",
       ...additionalHeaders,
     },
     body: JSON.stringify(body),
@@ -0,0 +1,12 @@
+// ./src/utils/slug.js
+
+// Lowercase, ASCII-only, words joined by single hyphens
+exports.slugify = (value) =>
+  String(value)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9\s-]/g, "")
+    .replace(/[\s_-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+exports.SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
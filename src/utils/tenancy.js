@@ -0,0 +1,128 @@
+// ./src/utils/tenancy.js
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Tenants are publications sharing one deployment. Content, API keys, audit
+// entries and role assignments each belong to exactly one tenant, and a
+// request runs as the tenant of the caller's token or API key.
+const DEFAULT_TENANT = process.env.DEFAULT_TENANT || "default";
+
+// Also a valid Permit.io tenant key
+const TENANT_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+const tenantContext = new AsyncLocalStorage();
+
+// Run fn as `tenant`: every query on a tenant-scoped model and every
+// authorization check inside it is limited to that tenant
+const withTenant = (tenant, fn) => tenantContext.run(tenant, fn);
+
+// The tenant of the current request; undefined outside one (scheduled jobs)
+const currentTenant = () => tenantContext.getStore();
+
+const isValidTenant = (tenant) =>
+  typeof tenant === "string" && TENANT_PATTERN.test(tenant);
+
+// Documents written before tenants existed belong to the default tenant
+function tenantFilter(tenant) {
+  return tenant === DEFAULT_TENANT
+    ? { tenant: { $in: [tenant, null] } }
+    : { tenant };
+}
+
+// A Permit resource in the current tenant. Resources that name their own
+// tenant (an article's, say) keep it.
+function scopeResource(resource) {
+  const tenant = currentTenant();
+  if (!tenant) return resource;
+  if (typeof resource === "string") return { type: resource, tenant };
+  return resource?.tenant ? resource : { ...resource, tenant };
+}
+
+const QUERY_HOOKS = [
+  "countDocuments",
+  "deleteMany",
+  "deleteOne",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndDelete",
+  "findOneAndReplace",
+  "findOneAndUpdate",
+  "replaceOne",
+  "updateMany",
+  "updateOne",
+];
+
+// Mongoose plugin giving a model a `tenant` field and confining every query,
+// aggregation and insert made inside withTenant() to that tenant. Outside a
+// tenant (scheduled jobs, scripts) queries see every tenant.
+function tenantScoped(schema) {
+  schema.add({
+    tenant: {
+      type: String,
+      required: true,
+      immutable: true,
+      default: () => currentTenant() || DEFAULT_TENANT,
+    },
+  });
+  schema.index({ tenant: 1 });
+
+  schema.pre(QUERY_HOOKS, function () {
+    const tenant = currentTenant();
+    if (tenant) this.and([tenantFilter(tenant)]);
+  });
+
+  schema.pre("aggregate", function () {
+    const tenant = currentTenant();
+    if (!tenant) return;
+
+    // $text and $geoNear must stay in the first stage
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    if (first?.$match) {
+      first.$match = { $and: [first.$match, tenantFilter(tenant)] };
+    } else if (first?.$geoNear) {
+      first.$geoNear.query = {
+        $and: [first.$geoNear.query || {}, tenantFilter(tenant)],
+      };
+    } else {
+      pipeline.unshift({ $match: tenantFilter(tenant) });
+    }
+  });
+
+  // Documents from before tenants existed join the default tenant when they
+  // are next saved
+  schema.pre("validate", function () {
+    if (!this.tenant)
+      this.$set("tenant", DEFAULT_TENANT, { overwriteImmutable: true });
+  });
+
+  // A document can't be written into another tenant from inside one
+  schema.pre("save", function () {
+    const tenant = currentTenant();
+    if (tenant && this.tenant !== tenant) {
+      throw new Error(
+        `Cannot save a ${this.constructor.modelName} of tenant '${this.tenant}' as tenant '${tenant}'`,
+      );
+    }
+  });
+
+  schema.pre("insertMany", function (next, docs) {
+    const tenant = currentTenant();
+    if (tenant) {
+      for (const doc of [].concat(docs)) doc.tenant = tenant;
+    }
+    next();
+  });
+}
+
+module.exports = {
+  DEFAULT_TENANT,
+  TENANT_PATTERN,
+  withTenant,
+  currentTenant,
+  isValidTenant,
+  tenantFilter,
+  scopeResource,
+  tenantScoped,
+};
@@ -0,0 +1,160 @@
+// ./src/utils/validation.js
+
+const mongoose = require("mongoose");
+const { ValidationError } = require("./errors");
+
+// Parse a JSON request body that must be an object
+exports.parseJsonBody = (body) => {
+  if (!body) {
+    throw new ValidationError("Request body is required");
+  }
+
+  const data = JSON.parse(body);
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new ValidationError("Request body must be a JSON object");
+  }
+  return data;
+};
+
+// Validate `data` against a route schema and return only the allowed fields,
+// with strings trimmed. Throws a ValidationError listing every problem.
+//
+// A schema maps field names to rules:
+//   type        "string" | "number" | "boolean" | "date" | "objectId" | "array"
+//               | "object" (any plain object; validate its fields separately)
+//   required    must be present (and non-empty for strings)
+//   minLength, maxLength, enum, pattern  string rules
+//   min, max                             number rules
+//   items, minItems, maxItems            array rules (items is a field rule)
+//   roles       only these roles may set the field
+//   readOnly    never writable by clients (reported as such, not "unknown")
+//   nullable    null is kept (e.g. to clear the field) instead of ignored
+exports.validateBody = (data, schema, { role } = {}) => {
+  const errors = [];
+  const result = {};
+
+  for (const field of Object.keys(data)) {
+    const rule = schema[field];
+    if (!rule) {
+      errors.push({ field, message: "Unknown field" });
+    } else if (rule.readOnly) {
+      errors.push({ field, message: "Field is read-only" });
+    } else if (rule.roles && !rule.roles.includes(role)) {
+      errors.push({
+        field,
+        message: `Can only be set by: ${rule.roles.join(", ")}`,
+      });
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    if (rule.readOnly) continue;
+
+    const value = data[field];
+    if (value === undefined || (value === null && !rule.nullable)) {
+      if (rule.required) {
+        errors.push({ field, message: "Field is required" });
+      }
+      continue;
+    }
+    if (rule.roles && !rule.roles.includes(role)) continue;
+
+    if (value === null) {
+      result[field] = null;
+      continue;
+    }
+
+    const checked = checkValue(field, value, rule, errors);
+    if (checked !== undefined) {
+      result[field] = checked;
+    }
+  }
+
+  if (errors.length) {
+    throw new ValidationError("Validation failed", errors);
+  }
+  return result;
+};
+
+// Returns the normalized value, or undefined after recording an error
+function checkValue(field, value, rule, errors) {
+  const fail = (message) => {
+    errors.push({ field, message });
+    return undefined;
+  };
+
+  switch (rule.type) {
+    case "string": {
+      if (typeof value !== "string") return fail("Must be a string");
+      const text = rule.trim === false ? value : value.trim();
+      if (rule.required && !text) return fail("Must not be empty");
+      if (rule.minLength && text.length < rule.minLength) {
+        return fail(`Must be at least ${rule.minLength} characters`);
+      }
+      if (rule.maxLength && text.length > rule.maxLength) {
+        return fail(`Must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.enum && !rule.enum.includes(text)) {
+        return fail(`Must be one of: ${rule.enum.join(", ")}`);
+      }
+      if (rule.pattern && !rule.pattern.test(text)) {
+        return fail(rule.patternMessage || "Has an invalid format");
+      }
+      return text;
+    }
+
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return fail("Must be a number");
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return fail(`Must be at least ${rule.min}`);
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return fail(`Must be at most ${rule.max}`);
+      }
+      return value;
+
+    case "boolean":
+      return typeof value === "boolean" ? value : fail("Must be a boolean");
+
+    case "date": {
+      const date = new Date(value);
+      return typeof value === "string" && !isNaN(date)
+        ? date
+        : fail("Must be an ISO 8601 date");
+    }
+
+    case "objectId":
+      return mongoose.isValidObjectId(value)
+        ? String(value)
+        : fail("Must be a valid ID");
+
+    case "object":
+      return value && typeof value === "object" && !Array.isArray(value)
+        ? value
+        : fail("Must be an object");
+
+    case "array": {
+      if (!Array.isArray(value)) return fail("Must be an array");
+      if (rule.minItems && value.length < rule.minItems) {
+        return fail(`Must have at least ${rule.minItems} items`);
+      }
+      if (rule.maxItems && value.length > rule.maxItems) {
+        return fail(`Must have at most ${rule.maxItems} items`);
+      }
+      const itemErrors = [];
+      const items = value.map((item, index) =>
+        checkValue(`${field}[${index}]`, item, rule.items, itemErrors),
+      );
+      if (itemErrors.length) {
+        errors.push(...itemErrors);
+        return undefined;
+      }
+      return rule.unique ? [...new Set(items)] : items;
+    }
+
+    default:
+      throw new Error(`Unknown validation type '${rule.type}' for ${field}`);
+  }
+}
@@ -0,0 +1,130 @@
+// ./src/utils/workflow.js
+
+const fs = require("fs");
+
+// Default editorial workflow. Each transition names the states it may start
+// from, the state it leads to and the Permit action a user needs to take it.
+// It is exposed as POST /articles/{id}/{route}, where route defaults to the
+// transition name with underscores replaced by dashes.
+//
+//   draft -> in_review -> changes_requested -> in_review -> approved
+//         -> published -> archived
+//
+// Set WORKFLOW_CONFIG to the path of a JSON file with the same shape to
+// replace it.
+const DEFAULT_WORKFLOW = {
+  initial: "draft",
+  // States readers outside the editorial team may see
+  public: ["published"],
+  states: [
+    "draft",
+    "in_review",
+    "changes_requested",
+    "approved",
+    "published",
+    "archived",
+  ],
+  transitions: {
+    submit: {
+      from: ["draft", "changes_requested"],
+      to: "in_review",
+      action: "submit",
+    },
+    request_changes: {
+      from: ["in_review"],
+      to: "changes_requested",
+      action: "review",
+      requireComment: true,
+    },
+    approve: {
+      from: ["in_review"],
+      to: "approved",
+      action: "approve",
+    },
+    publish: {
+      from: ["approved"],
+      to: "published",
+      action: "publish",
+      deniedMessage: "Only editors and admins can publish articles",
+    },
+    unpublish: {
+      from: ["published"],
+      to: "draft",
+      action: "unpublish",
+    },
+    archive: {
+      from: ["draft", "changes_requested", "approved", "published"],
+      to: "archived",
+      action: "archive",
+    },
+    unarchive: {
+      from: ["archived"],
+      to: "draft",
+      action: "unarchive",
+    },
+  },
+};
+
+function validateWorkflow(workflow) {
+  const { initial, states, transitions } = workflow;
+
+  if (!Array.isArray(states) || !states.includes(initial)) {
+    throw new Error("Workflow must list its states, including the initial one");
+  }
+
+  for (const [name, transition] of Object.entries(transitions || {})) {
+    const unknown = [...transition.from, transition.to].filter(
+      (state) => !states.includes(state),
+    );
+    if (unknown.length) {
+      throw new Error(
+        `Workflow transition '${name}' uses unknown states: ${unknown.join(", ")}`,
+      );
+    }
+    if (!transition.action) {
+      throw new Error(`Workflow transition '${name}' needs a Permit action`);
+    }
+  }
+
+  return workflow;
+}
+
+function loadWorkflow() {
+  const configPath = process.env.WORKFLOW_CONFIG;
+  const workflow = configPath
+    ? JSON.parse(fs.readFileSync(configPath, "utf8"))
+    : DEFAULT_WORKFLOW;
+
+  const transitions = Object.fromEntries(
+    Object.entries(workflow.transitions).map(([name, transition]) => [
+      name,
+      { name, route: name.replace(/_/g, "-"), ...transition },
+    ]),
+  );
+
+  return validateWorkflow({
+    public: ["published"],
+    ...workflow,
+    transitions,
+  });
+}
+
+const workflow = loadWorkflow();
+
+exports.workflow = workflow;
+
+exports.getTransition = (name) => workflow.transitions[name] || null;
+
+// Match the last path segment of POST /articles/{id}/{route}
+exports.getTransitionByRoute = (route) =>
+  Object.values(workflow.transitions).find(
+    (transition) => transition.route === route,
+  ) || null;
+
+// Transitions that can be taken from the given state
+exports.getAvailableTransitions = (state) =>
+  Object.values(workflow.transitions).filter((transition) =>
+    transition.from.includes(state),
+  );
+
+exports.isPublicState = (state) => workflow.public.includes(state);
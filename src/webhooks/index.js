@@ -0,0 +1,271 @@
+// ./src/webhooks/index.js
+
+const crypto = require("crypto");
+const dns = require("dns").promises;
+const net = require("net");
+const axios = require("axios");
+const mongoose = require("mongoose");
+const Webhook = require("../models/webhook");
+const WebhookDelivery = require("../models/webhook-delivery");
+const { currentTenant } = require("../utils/tenancy");
+const { signPayload } = require("./signature");
+
+const EVENT_TYPES = [
+  "article.created",
+  "article.updated",
+  "article.published",
+  "article.deleted",
+];
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS ?? 6);
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS ?? 60 * 1000);
+const MAX_RETRY_DELAY_MS = 12 * 60 * 60 * 1000;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS ?? 5000);
+const RETENTION_DAYS = Number(
+  process.env.WEBHOOK_DELIVERY_RETENTION_DAYS ?? 30,
+);
+
+// Receivers on loopback or private networks are refused unless
+// WEBHOOK_ALLOW_PRIVATE_URLS is set (for a receiver on localhost in
+// development), so subscriptions can't be used to reach internal services
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+
+const privateRanges = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // Link-local, including cloud metadata endpoints
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+].forEach(([network, prefix]) =>
+  privateRanges.addSubnet(network, prefix, "ipv6"),
+);
+
+function isPrivateAddress(address) {
+  // IPv4-mapped IPv6, e.g. ::ffff:127.0.0.1
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  return family === 6
+    ? privateRanges.check(address, "ipv6")
+    : privateRanges.check(address, "ipv4");
+}
+
+// Throws when a webhook URL may not be used. Host names are checked again
+// as they are resolved for each delivery (see lookup), so a DNS record that
+// later points at an internal address is refused too.
+function assertDeliverableUrl(url) {
+  const { protocol, hostname } = new URL(url);
+  if (!["http:", "https:"].includes(protocol)) {
+    throw new Error("Webhook URLs must use http or https");
+  }
+
+  const host = hostname.replace(/^\[|\]$/g, "");
+  if (
+    !ALLOW_PRIVATE_URLS &&
+    (host === "localhost" || (net.isIP(host) && isPrivateAddress(host)))
+  ) {
+    throw new Error("Webhook URLs must not point at a private address");
+  }
+}
+
+async function lookup(hostname, options) {
+  const { address, family } = await dns.lookup(hostname, {
+    family: options?.family,
+  });
+  if (!ALLOW_PRIVATE_URLS && isPrivateAddress(address)) {
+    throw new Error(`${hostname} resolves to a private address`);
+  }
+  return { address, family };
+}
+
+// Exponential backoff with jitter: about 1m, 4m, 16m, ... capped at 12h
+function retryDelayMs(attempt) {
+  const delay = Math.min(
+    RETRY_BASE_MS * 4 ** (attempt - 1),
+    MAX_RETRY_DELAY_MS,
+  );
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// While one attempt is in flight no one else picks the delivery up
+const leaseUntil = () => new Date(Date.now() + TIMEOUT_MS * 2);
+
+// POST the payload once and describe the outcome as an attempt
+async function send(webhook, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+
+  try {
+    assertDeliverableUrl(webhook.url);
+    const response = await axios.post(webhook.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "content-api-webhooks/1.0",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Event-Id": delivery.eventId,
+        "X-Webhook-Delivery": String(delivery._id),
+        "X-Webhook-Signature": signPayload(webhook.secret, body),
+      },
+      timeout: TIMEOUT_MS,
+      maxRedirects: 0,
+      lookup,
+      transformRequest: [(data) => data],
+      validateStatus: () => true,
+    });
+
+    const succeeded = response.status >= 200 && response.status < 300;
+    return {
+      statusCode: response.status,
+      durationMs: Date.now() - started,
+      ...(!succeeded && {
+        error: `Receiver responded with ${response.status}`,
+      }),
+    };
+  } catch (error) {
+    return { error: error.message, durationMs: Date.now() - started };
+  }
+}
+
+// Make one attempt and record it: success and running out of attempts are
+// final, anything else is retried later by the dispatcher
+async function attemptDelivery(delivery) {
+  const webhook = await Webhook.findById(delivery.webhook).select("+secret");
+  if (!webhook?.active) {
+    delivery.status = "cancelled";
+    delivery.nextAttemptAt = null;
+    await delivery.save();
+    return delivery;
+  }
+
+  const attempt = await send(webhook, delivery);
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = "succeeded";
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = null;
+    console.log(`📬 Webhook ${delivery.event} delivered to ${webhook.url}`);
+  } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = "failed";
+    delivery.nextAttemptAt = null;
+    console.error(
+      `❌ Webhook ${delivery.event} to ${webhook.url} failed for good:`,
+      attempt.error,
+    );
+  } else {
+    delivery.nextAttemptAt = new Date(
+      Date.now() + retryDelayMs(delivery.attempts.length),
+    );
+    console.warn(
+      `⚠️ Webhook ${delivery.event} to ${webhook.url} failed, retrying at ${delivery.nextAttemptAt.toISOString()}:`,
+      attempt.error,
+    );
+  }
+
+  await delivery.save();
+  return delivery;
+}
+
+const newDelivery = (fields) =>
+  new WebhookDelivery({
+    nextAttemptAt: leaseUntil(),
+    ...fields,
+    expiresAt: new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+// Queue `type` with `data` for every active webhook of the current tenant
+// subscribed to it. The dispatcher makes every attempt, so requests never
+// wait on receivers. Like auditing, this never fails the request that caused
+// the event.
+async function emitEvent(type, data) {
+  if (mongoose.connection.readyState !== 1) {
+    console.error("❌ Webhooks unavailable, dropping event:", type);
+    return;
+  }
+
+  try {
+    const webhooks = await Webhook.find({
+      active: true,
+      events: { $in: [type, "*"] },
+    });
+    if (!webhooks.length) return;
+
+    const payload = {
+      id: crypto.randomUUID(),
+      type,
+      createdAt: new Date().toISOString(),
+      tenant: currentTenant(),
+      data: JSON.parse(JSON.stringify(data)),
+    };
+
+    await Promise.all(
+      webhooks.map((webhook) =>
+        newDelivery({
+          webhook: webhook._id,
+          eventId: payload.id,
+          event: type,
+          payload,
+          nextAttemptAt: new Date(), // Due on the dispatcher's next run
+        }).save(),
+      ),
+    );
+  } catch (error) {
+    console.error(`❌ Failed to emit webhook event ${type}:`, error.message);
+  }
+}
+
+// Queue a delivery's payload again as a new delivery, sent by the
+// dispatcher like any other
+async function replayDelivery(delivery) {
+  return await newDelivery({
+    webhook: delivery.webhook,
+    eventId: delivery.eventId,
+    event: delivery.event,
+    payload: delivery.payload,
+    replayOf: delivery._id,
+    nextAttemptAt: new Date(),
+  }).save();
+}
+
+// Retry pending deliveries whose next attempt is due. Each one is claimed
+// first, so overlapping dispatcher runs never send it twice.
+async function dispatchDueDeliveries({ limit = 50 } = {}) {
+  const due = await WebhookDelivery.find(
+    { status: "pending", nextAttemptAt: { $lte: new Date() } },
+    { _id: 1 },
+  )
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit);
+
+  const results = { succeeded: 0, failed: 0, retrying: 0, cancelled: 0 };
+  for (const { _id } of due) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id, status: "pending", nextAttemptAt: { $lte: new Date() } },
+      { $set: { nextAttemptAt: leaseUntil() } },
+      { new: true },
+    );
+    if (!delivery) continue;
+
+    const { status } = await attemptDelivery(delivery);
+    results[status === "pending" ? "retrying" : status] += 1;
+  }
+  return results;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  assertDeliverableUrl,
+  emitEvent,
+  replayDelivery,
+  dispatchDueDeliveries,
+};
@@ -0,0 +1,47 @@
+// ./src/webhooks/signature.js
+
+const crypto = require("crypto");
+
+// Deliveries carry an X-Webhook-Signature header of the form
+//   t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+// Signing the timestamp with the body lets receivers reject replayed
+// requests; v1 leaves room to change the scheme later.
+
+exports.generateSecret = () =>
+  `whsec_${crypto.randomBytes(32).toString("base64url")}`;
+
+const hmac = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+exports.signPayload = (secret, body, timestamp = Date.now()) => {
+  const seconds = Math.floor(timestamp / 1000);
+  return `t=${seconds},v1=${hmac(secret, seconds, body)}`;
+};
+
+// For receivers: true when `header` is a valid signature of the raw `body`
+// made within the last toleranceSeconds
+exports.verifySignature = (
+  secret,
+  body,
+  header,
+  { toleranceSeconds = 300, now = Date.now() } = {},
+) => {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.trim().split("=")),
+  );
+  const seconds = Number(parts.t);
+  if (!Number.isInteger(seconds) || !parts.v1) return false;
+  if (Math.abs(now / 1000 - seconds) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(hmac(secret, seconds, body), "hex");
+  const actual = Buffer.from(parts.v1, "hex");
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
@@ -45,15 +45,26 @@ const users = {
     role: "admin",
     subscription_tier: "enterprise",
   }),
+  // Same role as `editor`, but in another publication
+  otherTenantEditor: createToken({
+    userId: "editor1",
+    email: "editor@example.com",
+    role: "editor",
+    subscription_tier: "premium",
+    tenant: "other-publication",
+  }),
 };
 
+// `token` is a JWT, or { apiKey } to authenticate as a machine client
 async function testEndpoint(description, token, method, path, data = null) {
   try {
     const config = {
       method,
       url: `${API_BASE}${path}`,
       headers: {
-        Authorization: `Bearer ${token}`,
+        ...(token?.apiKey
+          ? { "X-API-Key": token.apiKey }
+          : { Authorization: `Bearer ${token}` }),
         "Content-Type": "application/json",
       },
     };
@@ -73,6 +84,9 @@ async function testEndpoint(description, token, method, path, data = null) {
   }
 }
 
+// User management is admin-only, so admin1 must already hold the admin role
+// (assign it in the Permit.io dashboard, or list it under `users` in the
+// local policy file) before the other users can be set up
 async function setupTestUsers() {
   console.log("🔧 Setting up test users in Permit.io...\n");
 
@@ -126,7 +140,7 @@ async function setupTestUsers() {
       users.admin, // Use admin token for user management
       "POST",
       "/admin/users/sync",
-      { action: "sync", userData: user },
+      { userData: user },
     );
 
     // Assign role
@@ -135,10 +149,7 @@ async function setupTestUsers() {
       users.admin,
       "POST",
       "/admin/users/assign-role",
-      {
-        action: "assign-role",
-        userData: { userId: user.userId, role: user.role },
-      },
+      { userData: { userId: user.userId, role: user.role } },
     );
   }
 
@@ -198,8 +209,77 @@ async function runTests() {
     "/articles",
   );
 
-  // Editors can publish
+  const slug = articleResponse?.article?.slug;
+  if (slug) {
+    await testEndpoint(
+      "Author reads article by slug",
+      users.premiumAuthor,
+      "GET",
+      `/articles/by-slug/${slug}`,
+    );
+  }
+
+  if (articleId) {
+    await testEndpoint(
+      "Author reads article rendered as HTML",
+      users.premiumAuthor,
+      "GET",
+      `/articles/${articleId}?format=html`,
+    );
+    await testEndpoint(
+      "Author reads article in an unknown format (should fail)",
+      users.premiumAuthor,
+      "GET",
+      `/articles/${articleId}?format=pdf`,
+    );
+  }
+
+  // HTML content is sanitized when saved
+  const htmlArticle = await testEndpoint(
+    "Author creates HTML article with a script",
+    users.premiumAuthor,
+    "POST",
+    "/articles",
+    {
+      title: "HTML Article",
+      content: '<p onclick="steal()">Hello</p><script>steal()</script>',
+      contentFormat: "html",
+      category: "free",
+    },
+  );
+  if (htmlArticle?.article) {
+    const { content } = htmlArticle.article;
+    console.log(
+      `${/script|onclick/.test(content) ? "❌" : "✅"} Stored HTML is sanitized: ${content}`,
+    );
+  }
+
+  // Editors can publish once an article has been through review
   if (articleId) {
+    await testEndpoint(
+      "Author submits article for review",
+      users.premiumAuthor,
+      "POST",
+      `/articles/${articleId}/submit`,
+    );
+    await testEndpoint(
+      "Author approves own article (should fail)",
+      users.premiumAuthor,
+      "POST",
+      `/articles/${articleId}/approve`,
+    );
+    await testEndpoint(
+      "Editor requests changes without a comment (should fail)",
+      users.editor,
+      "POST",
+      `/articles/${articleId}/request-changes`,
+    );
+    await testEndpoint(
+      "Editor approves article",
+      users.editor,
+      "POST",
+      `/articles/${articleId}/approve`,
+    );
     await testEndpoint(
       "Editor publishes article",
       users.editor,
@@ -212,6 +292,35 @@ async function runTests() {
       "POST",
       `/articles/${articleId}/publish`,
     );
+
+    // Edits to an approved comment go back to the moderation queue
+    const commentResponse = await testEndpoint(
+      "Author comments on article",
+      users.premiumAuthor,
+      "POST",
+      "/comments",
+      { articleId, content: "Great article!" },
+    );
+    const commentId = commentResponse?.comment?._id;
+    if (commentId) {
+      await testEndpoint(
+        "Editor approves comment",
+        users.editor,
+        "POST",
+        `/comments/${commentId}/moderate`,
+        { status: "approved" },
+      );
+      const editResponse = await testEndpoint(
+        "Author edits approved comment",
+        users.premiumAuthor,
+        "PUT",
+        `/comments/${commentId}`,
+        { content: "Great article! Edited." },
+      );
+      console.log(
+        `${editResponse?.comment?.status === "pending" ? "✅" : "❌"} Edited comment is pending again: ${editResponse?.comment?.status}`,
+      );
+    }
   }
 
   // Test 2: ABAC - Policy-level + Application-level attribute-based controls
@@ -236,6 +345,18 @@ async function runTests() {
     console.log(`💎 Created premium article ID: ${premiumArticleId}`);
 
     // Publish the premium article first so it can be accessed
+    await testEndpoint(
+      "Editor submits premium article",
+      users.editor,
+      "POST",
+      `/articles/${premiumArticleId}/submit`,
+    );
+    await testEndpoint(
+      "Editor approves premium article",
+      users.editor,
+      "POST",
+      `/articles/${premiumArticleId}/approve`,
+    );
     await testEndpoint(
       "Editor publishes premium article",
       users.editor,
@@ -318,12 +439,223 @@ async function runTests() {
   );
 
   if (articleId) {
+    await testEndpoint(
+      "Editor of another tenant reads article (should fail)",
+      users.otherTenantEditor,
+      "GET",
+      `/articles/${articleId}`,
+    );
     await testEndpoint(
       "Admin deletes article",
       users.admin,
       "DELETE",
       `/articles/${articleId}`,
     );
+    await testEndpoint(
+      "Author reads deleted article (should fail)",
+      users.premiumAuthor,
+      "GET",
+      `/articles/${articleId}`,
+    );
+    await testEndpoint(
+      "Author lists trash",
+      users.premiumAuthor,
+      "GET",
+      "/articles/trash",
+    );
+    await testEndpoint(
+      "Author restores article",
+      users.premiumAuthor,
+      "POST",
+      `/articles/${articleId}/restore`,
+    );
+    await testEndpoint(
+      "Author deletes article again",
+      users.premiumAuthor,
+      "DELETE",
+      `/articles/${articleId}`,
+    );
+    await testEndpoint(
+      "Editor purges article (should fail)",
+      users.editor,
+      "DELETE",
+      `/articles/${articleId}/purge`,
+    );
+    await testEndpoint(
+      "Admin purges article",
+      users.admin,
+      "DELETE",
+      `/articles/${articleId}/purge`,
+    );
+  }
+
+  await testEndpoint(
+    "Admin reads denied decisions from the audit log",
+    users.admin,
+    "GET",
+    "/audit-logs?type=decision&allowed=false",
+  );
+  await testEndpoint(
+    "Viewer reads the audit log (should fail)",
+    users.freeViewer,
+    "GET",
+    "/audit-logs",
+  );
+
+  // Test 6: API keys for machine clients
+  console.log("\n=== API KEY TESTS ===");
+
+  const issued = await testEndpoint(
+    "Admin issues read-only API key",
+    users.admin,
+    "POST",
+    "/api-keys",
+    {
+      name: "Ingestion job",
+      scopes: ["Article:read"],
+      rateTier: "premium",
+      subscriptionTier: "free",
+    },
+  );
+
+  if (issued) {
+    const machine = { apiKey: issued.key };
+    await testEndpoint("API key reads articles", machine, "GET", "/articles");
+    await testEndpoint(
+      "API key creates article (should fail - out of scope)",
+      machine,
+      "POST",
+      "/articles",
+      { title: "Machine Article", content: "Out of scope" },
+    );
+    await testEndpoint(
+      "Admin revokes API key",
+      users.admin,
+      "DELETE",
+      `/api-keys/${issued.apiKey._id}`,
+    );
+    await testEndpoint(
+      "Revoked API key reads articles (should fail)",
+      machine,
+      "GET",
+      "/articles",
+    );
+  }
+
+  // Test 7: User lifecycle
+  console.log("\n=== USER MANAGEMENT TESTS ===");
+
+  await testEndpoint(
+    "Admin bulk imports users from CSV (row 3 should fail)",
+    users.admin,
+    "POST",
+    "/admin/users/bulk-import",
+    {
+      userData: {
+        csv: "userId,email,subscriptionTier,role\ntemp1,temp1@example.com,free,viewer\ntemp2,not-an-email,free,viewer\n",
+      },
+    },
+  );
+  await testEndpoint(
+    "Admin upgrades subscription tier",
+    users.admin,
+    "POST",
+    "/admin/users/update-attributes",
+    { userData: { userId: "temp1", subscriptionTier: "premium" } },
+  );
+  await testEndpoint(
+    "Admin unassigns role",
+    users.admin,
+    "POST",
+    "/admin/users/unassign-role",
+    { userData: { userId: "temp1", role: "viewer" } },
+  );
+  await testEndpoint(
+    "Admin reads user",
+    users.admin,
+    "POST",
+    "/admin/users/get-user",
+    { userData: { userId: "temp1" } },
+  );
+  await testEndpoint(
+    "Viewer deletes user (should fail)",
+    users.freeViewer,
+    "POST",
+    "/admin/users/delete-user",
+    { userData: { userId: "temp1" } },
+  );
+  await testEndpoint(
+    "Admin deletes user",
+    users.admin,
+    "POST",
+    "/admin/users/delete-user",
+    { userData: { userId: "temp1" } },
+  );
+
+  // Test 8: Webhooks. Deliveries go to test-webhook-receiver.js, so start it
+  // with the secret printed below and run the API with
+  // WEBHOOK_ALLOW_PRIVATE_URLS=true. Events are only queued here; send them
+  // with `npx serverless invoke local -f webhookDispatcher`.
+  console.log("\n=== WEBHOOK TESTS ===");
+
+  await testEndpoint(
+    "Editor creates webhook (should fail)",
+    users.editor,
+    "POST",
+    "/webhooks",
+    { url: "http://localhost:4000/hooks", events: ["article.created"] },
+  );
+  const webhookResponse = await testEndpoint(
+    "Admin creates webhook",
+    users.admin,
+    "POST",
+    "/webhooks",
+    {
+      url: "http://localhost:4000/hooks",
+      events: ["article.created", "article.published"],
+      description: "Local receiver",
+    },
+  );
+
+  const webhookId = webhookResponse?.webhook?._id;
+  if (webhookId) {
+    console.log(`🪝 Webhook secret: ${webhookResponse.secret}`);
+
+    await testEndpoint(
+      "Author creates article (emits article.created)",
+      users.premiumAuthor,
+      "POST",
+      "/articles",
+      { title: "Webhook Article", content: "Announced to subscribers" },
+    );
+    const deliveries = await testEndpoint(
+      "Admin lists webhook deliveries",
+      users.admin,
+      "GET",
+      `/webhooks/${webhookId}/deliveries`,
+    );
+    const deliveryId = deliveries?.deliveries?.[0]?._id;
+    if (deliveryId) {
+      await testEndpoint(
+        "Admin replays delivery",
+        users.admin,
+        "POST",
+        `/webhooks/${webhookId}/deliveries/${deliveryId}/replay`,
+      );
+    }
+    await testEndpoint(
+      "Admin deactivates webhook",
+      users.admin,
+      "PUT",
+      `/webhooks/${webhookId}`,
+      { active: false },
+    );
+    await testEndpoint(
+      "Admin deletes webhook",
+      users.admin,
+      "DELETE",
+      `/webhooks/${webhookId}`,
+    );
   }
 
   console.log("\n🎉 Tests completed!");
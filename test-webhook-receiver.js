@@ -0,0 +1,61 @@
+// ./test-webhook-receiver.js
+
+const http = require("http");
+const { verifySignature } = require("./src/webhooks/signature");
+
+// A local endpoint for webhook deliveries. Run it with the secret returned
+// when the webhook was created, and start the API with
+// WEBHOOK_ALLOW_PRIVATE_URLS=true so it may deliver to localhost:
+//
+//   WEBHOOK_SECRET=whsec_... node test-webhook-receiver.js
+//
+// Set FAIL_FIRST=n to answer the first n deliveries with a 500 and watch
+// them being retried.
+const PORT = Number(process.env.PORT || 4000);
+const SECRET = process.env.WEBHOOK_SECRET;
+let failuresLeft = Number(process.env.FAIL_FIRST || 0);
+
+function createReceiver({ secret = SECRET, onEvent = () => {} } = {}) {
+  return http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks).toString("utf8");
+      const signature = req.headers["x-webhook-signature"];
+
+      if (!secret || !verifySignature(secret, body, signature)) {
+        console.log(`❌ Rejected delivery with bad signature: ${signature}`);
+        res.writeHead(401).end();
+        return;
+      }
+
+      if (failuresLeft > 0) {
+        failuresLeft -= 1;
+        console.log(
+          `⚠️ Failing ${req.headers["x-webhook-delivery"]} on purpose`,
+        );
+        res.writeHead(500).end();
+        return;
+      }
+
+      const event = JSON.parse(body);
+      console.log(
+        `📬 ${event.type} ${event.id} (delivery ${req.headers["x-webhook-delivery"]})`,
+      );
+      onEvent(event, req.headers);
+      res.writeHead(204).end();
+    });
+  });
+}
+
+if (require.main === module) {
+  if (!SECRET) {
+    console.error("❌ Set WEBHOOK_SECRET to the webhook's signing secret");
+    process.exit(1);
+  }
+  createReceiver().listen(PORT, () =>
+    console.log(`🪝 Webhook receiver listening on http://localhost:${PORT}`),
+  );
+}
+
+module.exports = { createReceiver };